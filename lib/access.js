@@ -1,13 +1,23 @@
-import { Command } from "commander";
+import { Command, CommanderError } from "commander";
+import fs from "fs";
 import plimit from "p-limit";
 import readline from "readline-sync";
 import { format } from "util";
 
 import Auth, { parseStoreReference, validCredentials, jumpsellerDomain } from "./services/auth.js";
 import Api from "./services/api.js";
+import { VaultError } from "./services/vault.js";
 
 import { validateStoreDomain } from "./input.js";
-import { widetable, assembleTable } from "./output.js";
+import { printRecords, showsProgress, isMachineOutput } from "./output.js";
+
+class InvalidCredentialsError extends CommanderError {
+  constructor(message) {
+    super(3, 'jumpseller.invalidCredentials', message);
+    Error.captureStackTrace(this, this.constructor);
+    this.name = this.constructor.name;
+  }
+}
 
 const STORE_NAME_ERROR_HELP = `
 Invalid store format. Please use the store code or domain (such as simple, simple.jumpseller.com, ...)
@@ -30,24 +40,21 @@ async function verifyCredentials(store, credentials) {
   try {
     const api = new Api(store, credentials);
     const response = await api.get("/v1/whoami", {});
-    if (response.status !== 200) {
-      console.error("✖ Error verifying credentials: %s", response.statusText);
+    const token = await response.json();
+    const actualStore = parseStoreReference(token.store)[1];
+    if (store === actualStore) {
+      console.info("✔ (account %s)", token.account);
+      return true;
     } else {
-      const token = await response.json();
-      const actualStore = parseStoreReference(token.store)[1];
-      if (store === actualStore) {
-        console.info("✔ (account %s)", token.account);
-        return true;
-      } else {
-        console.error("✖ credentials are for store %s", token.store);
-      }
+      console.error("✖ credentials are for store %s", token.store);
     }
   } catch (error) {
-    console.error("✖ Error verifying credentials", error);
+    console.error("✖ Error verifying credentials: %s", error.message);
   }
 }
 
 function promptForStore() {
+  if (!process.stdin.isTTY) throw new InvalidCredentialsError("No store given, and no terminal to ask for one");
   const name = readline.question("Store code or domain: ").trim();
   const [ok, store] = parseStoreReference(name);
   if (ok) return store;
@@ -56,6 +63,9 @@ function promptForStore() {
 }
 
 async function promptForCredentials(store, showHelp = false) {
+  if (!process.stdin.isTTY) {
+    throw new InvalidCredentialsError("No terminal to ask for credentials, use --login and --token-stdin");
+  }
   if (showHelp) console.info(format(PROMPT_CREDENTIALS_HELP, jumpsellerDomain(store)));
   const login = readline.question("Login key: ").trim().toLowerCase();
   const authToken = readline.question("Auth Token: ").trim().toLowerCase();
@@ -65,6 +75,25 @@ async function promptForCredentials(store, showHelp = false) {
   return promptForCredentials(store, false);
 }
 
+export function promptForPassphrase() {
+  if (!process.stdin.isTTY) return;
+  return readline.question("Credentials passphrase: ", { hideEchoBack: true });
+}
+
+function promptForNewPassphrase() {
+  if (!process.stdin.isTTY) throw new VaultError("No terminal to ask for a new passphrase, set JUMPSELLER_PASSPHRASE instead");
+  const passphrase = readline.question("New passphrase: ", { hideEchoBack: true });
+  if (!passphrase) {
+    console.error("Passphrase cannot be empty.");
+    return promptForNewPassphrase();
+  }
+  if (readline.question("Repeat passphrase: ", { hideEchoBack: true }) !== passphrase) {
+    console.error("Passphrases do not match.");
+    return promptForNewPassphrase();
+  }
+  return passphrase;
+}
+
 async function access() {
   const stores = [...Auth.listCredentials().keys()].sort();
 
@@ -79,17 +108,36 @@ async function access() {
   }
 }
 
-async function add(store) {
+function readTokenFromStdin() {
+  return fs.readFileSync(process.stdin.fd, "utf-8").trim().toLowerCase();
+}
+
+async function readCredentials(store, options) {
+  if (!options.login && !options.tokenStdin) return promptForCredentials(store, true);
+  if (!options.login || !options.tokenStdin) {
+    throw new InvalidCredentialsError("Both --login and --token-stdin are required to add credentials without prompting");
+  }
+
+  const credentials = `${options.login.trim().toLowerCase()}:${readTokenFromStdin()}`;
+  if (!validCredentials(credentials)) throw new InvalidCredentialsError("Invalid credentials format.");
+  if (!(await verifyCredentials(store, credentials))) {
+    throw new InvalidCredentialsError(format("Could not verify credentials for %s", store));
+  }
+  return credentials;
+}
+
+async function add(store, options = {}) {
+  if (!store && options.login) throw new InvalidCredentialsError("A store is required with --login");
   if (!store) store = promptForStore();
-  const exists = Auth.getCredentials(store);
-  const credentials = await promptForCredentials(store, true);
+  const exists = Auth.listCredentials().has(store);
+  const credentials = await readCredentials(store, options);
   Auth.addCredentials(store, credentials);
   Auth.flush();
   console.info("%s credentials for %s", exists ? "Updated" : "Added", store);
 }
 
 async function remove(store) {
-  const exists = Auth.getCredentials(store);
+  const exists = Auth.listCredentials().has(store);
   if (!exists) {
     console.info("No credentials found for %s", store);
   } else {
@@ -104,11 +152,16 @@ async function list() {
   const scopeStore = Auth.getLocalDefault();
   const defaultStore = Auth.getGlobalDefault();
 
-  const tags = { [scopeStore]: "local default", [defaultStore]: "global default" };
+  const environmentStore = Auth.getEnvironmentStore();
+  const projectStore = Auth.getProjectStore();
+
+  const tags = { [scopeStore]: "local default", [defaultStore]: "global default", [projectStore]: "project", [environmentStore]: "environment" };
   const resolution = {};
+  const [VERIFIED, FAILED] = isMachineOutput() ? ["ok", "error"] : ["✔", "✖"];
 
   let resolved = 0, n = stores.length;
-  const refresh = () => process.stdout.write(format("\u001b[sChecking %d stores... (%d/%d)\u001b[u", n, resolved, n));
+  const progress = showsProgress();
+  const refresh = () => progress && process.stdout.write(format("\u001b[sChecking %d stores... (%d/%d)\u001b[u", n, resolved, n));
   refresh();
 
   const limiter = plimit(10);
@@ -116,19 +169,15 @@ async function list() {
     try {
       const api = new Api(store);
       const response = await api.get("/v1/whoami", {});
-      if (response.status !== 200) {
-        resolution[store] = { status: "✖", error: response.statusText };
+      const token = await response.json();
+      const actualStore = parseStoreReference(token.store)[1];
+      if (store === actualStore) {
+        resolution[store] = { status: VERIFIED, account: token.account };
       } else {
-        const token = await response.json();
-        const actualStore = parseStoreReference(token.store)[1];
-        if (store === actualStore) {
-          resolution[store] = { status: "✔", account: token.account };
-        } else {
-          resolution[store] = { status: "✖", actual: token.store, account: token.account };
-        }
+        resolution[store] = { status: FAILED, actual: token.store, account: token.account };
       }
     } catch (error) {
-      resolution[store] = { status: "✖", error: error.message };
+      resolution[store] = { status: FAILED, error: error.message };
     }
     resolved++;
     refresh();
@@ -138,7 +187,26 @@ async function list() {
   const header = { status: "", store: "store", tag: "", actual: "actual store", account: "account", error: "error" };
   const rows = stores.map((store) => Object.assign({ store, tag: tags[store] || "" }, resolution[store]));
 
-  process.stdout.write("\u001b[s" + widetable(assembleTable(header, rows)));
+  if (progress) process.stdout.write("\u001b[s");
+  printRecords(header, rows);
+}
+
+async function lock() {
+  if (Auth.isEncrypted()) {
+    console.info("Credentials are already encrypted");
+    return;
+  }
+  Auth.lock(process.env.JUMPSELLER_PASSPHRASE || promptForNewPassphrase());
+  console.info("Credentials encrypted, the plaintext credentials file was removed");
+}
+
+async function unlock() {
+  if (!Auth.isEncrypted()) {
+    console.info("Credentials are not encrypted");
+    return;
+  }
+  Auth.unlock();
+  console.info("Credentials decrypted into a plaintext file readable only by you");
 }
 
 async function current() {
@@ -172,7 +240,20 @@ const HELP = `${SUMMARY}.
 ${ADMIN_AUTH_HELP}
 
 A default store can be set globally, and individual theme folders
-can also specify their own default store for commands.
+can also specify their own default store for commands, either as a local
+default or in a jumpseller.json project file. The one in the closest
+folder applies, and a local default next to jumpseller.json overrides it.
+
+For CI and other non-interactive use, the JUMPSELLER_STORE environment
+variable selects the store and JUMPSELLER_LOGIN and JUMPSELLER_TOKEN give
+its credentials. The --store option takes precedence over JUMPSELLER_STORE,
+which takes precedence over folder and global defaults. Credentials from the
+environment take precedence over stored ones, and are only ever used for
+the store named by JUMPSELLER_STORE.
+
+Credentials are stored in a file only readable by your user. They can also
+be encrypted with a passphrase using \`jumpseller access lock\`, which is then
+asked for when needed, or read from JUMPSELLER_PASSPHRASE.
 `.trim();
 
 const program = new Command("access");
@@ -193,6 +274,8 @@ program
   .command("add")
   .description("Add or update credentials for a store")
   .argument("[store]", "Store code", validateStoreDomain)
+  .option("--login <key>", "Login key, to add credentials without prompting")
+  .option("--token-stdin", "Read the auth token from standard input")
   .action(add);
 
 program
@@ -213,4 +296,14 @@ program
   .argument("<store>", "Store code", validateStoreDomain)
   .action(setLocal);
 
+program
+  .command("lock")
+  .description("Encrypt stored credentials with a passphrase")
+  .action(lock);
+
+program
+  .command("unlock")
+  .description("Decrypt stored credentials back into a plaintext file")
+  .action(unlock);
+
 export default program;
@@ -0,0 +1,183 @@
+import { Command, InvalidArgumentError } from "commander";
+import fs from "fs";
+
+import Auth from "./services/auth.js";
+import Api, { ApiError } from "./services/api.js";
+
+import { withCurrentStore } from "./middleware.js";
+import { validateHttpMethod, validateField, validationCollector } from "./input.js";
+
+const PAGE_SIZE = 100;
+
+/**
+ * Convert a typed field value the way it is most likely meant: numbers,
+ * booleans and null as JSON literals, @file as the contents of that file and
+ * anything else as a string. Numbers with leading zeros, such as zip codes,
+ * stay strings so no digit is lost.
+ */
+function fieldValue(value) {
+  if (value.startsWith("@")) return fs.readFileSync(value.slice(1), "utf-8");
+  if (value === "true" || value === "false" || value === "null") return JSON.parse(value);
+  if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(value)) return +value;
+  return value;
+}
+
+const isObject = (value) => typeof value === "object" && value !== null;
+
+/**
+ * Assemble fields into an object, where keys such as product[name] nest
+ * the value under product. A key cannot be both a value and a parent.
+ */
+function buildFields(fields) {
+  const result = {};
+  for (const [key, value] of fields) {
+    const names = key.split(/[[\]]+/).filter(Boolean);
+    const last = names.pop();
+    let object = result;
+    for (const name of names) {
+      object[name] ??= {};
+      if (!isObject(object[name])) throw new InvalidArgumentError(`Field ${key} conflicts with a value given for ${name}`);
+      object = object[name];
+    }
+    if (isObject(object[last])) throw new InvalidArgumentError(`Field ${key} conflicts with nested fields under ${last}`);
+    object[last] = value;
+  }
+  return result;
+}
+
+/**
+ * Query parameters keep the keys as given, so product[name] is sent as is
+ * rather than as a nested object, and null as an empty value.
+ */
+function queryParams(fields) {
+  return Object.fromEntries(fields.map(([key, value]) => [key, value ?? ""]));
+}
+
+function readBody(data) {
+  if (data === "-") return fs.readFileSync(0, "utf-8");
+  if (data.startsWith("@")) return fs.readFileSync(data.slice(1), "utf-8");
+  return data;
+}
+
+function resolvePath(path) {
+  return path.startsWith("/") ? path : `/v1/${path}`;
+}
+
+function printHeaders(response) {
+  console.info("HTTP %d %s", response.status, response.statusText);
+  response.headers.forEach((value, name) => console.info("%s: %s", name, value));
+  console.info("");
+}
+
+function printBody(text) {
+  if (!text) return;
+  try {
+    console.info(JSON.stringify(JSON.parse(text), null, 2));
+  } catch {
+    process.stdout.write(text.endsWith("\n") ? text : `${text}\n`);
+  }
+}
+
+/**
+ * Send a request, printing the status, headers and body of a failed one with
+ * --include before the error is reported.
+ */
+async function send(api, method, path, params, body, options) {
+  try {
+    return await api.request(method, path, params, body);
+  } catch (error) {
+    if (options.include && error instanceof ApiError && error.response) {
+      printHeaders(error.response);
+      printBody(error.body);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Request consecutive pages until one comes back short, and print all of
+ * their items as a single array.
+ */
+async function paginate(api, method, path, params, options) {
+  const limit = params.limit || PAGE_SIZE;
+  const items = [];
+  for (let page = params.page || 1; ; page++) {
+    const response = await send(api, method, path, { ...params, limit, page }, undefined, options);
+    if (options.include) printHeaders(response);
+    const body = await response.json();
+    if (!Array.isArray(body)) throw new InvalidArgumentError(`${path} does not return a list and cannot be paginated`);
+    items.push(...body);
+    if (body.length < limit) break;
+  }
+  printBody(JSON.stringify(items));
+}
+
+const request = withCurrentStore(async function request(method, path, options) {
+  const api = new Api(Auth.currentStore());
+  path = resolvePath(path);
+
+  const fieldList = options.field.map(([key, value]) => [key, fieldValue(value)]).concat(options.rawField);
+  if (options.data !== undefined && fieldList.length > 0) {
+    throw new InvalidArgumentError("Use either --field or --data for the request body, not both");
+  }
+  if (options.data !== undefined && method === "GET") {
+    throw new InvalidArgumentError("GET requests cannot have a body");
+  }
+  if (options.paginate && method !== "GET") {
+    throw new InvalidArgumentError("Only GET requests can be paginated");
+  }
+
+  const fields = buildFields(fieldList);
+  let params = {}, body;
+  if (method === "GET" || method === "DELETE") params = queryParams(fieldList);
+  else if (options.data !== undefined) body = readBody(options.data);
+  else if (fieldList.length > 0) body = JSON.stringify(fields);
+
+  if (options.paginate) return await paginate(api, method, path, params, options);
+
+  const response = await send(api, method, path, params, body, options);
+  if (options.include) printHeaders(response);
+  printBody(await response.text());
+});
+
+const HELP = `Send an authenticated request to the Jumpseller API.
+
+Uses the credentials of the current store, like every other command. Paths
+not starting with / are relative to /v1/, so "products.json" and
+"/v1/products.json" are the same endpoint.
+
+Fields given with -F are sent as query parameters for GET and DELETE, and
+as a JSON body otherwise, where keys like product[name] build nested
+objects. Numbers, true, false and null are sent as JSON values, and @file
+reads the value from a file. Numbers with leading zeros stay strings, and -f sends
+a value as a string exactly as given. Alternatively, --data sends a raw
+body, read from a file with @file or from standard input with -.
+
+With --paginate, pages of ${PAGE_SIZE} items (or -F limit=<n>) are requested
+until a short page is returned, and all items are printed as one list.
+JSON responses are pretty printed, and failed requests exit with the same
+codes as other commands. With --include, the status, headers and body of
+failed responses are printed too.
+
+Examples:
+    jumpseller api GET products.json -F limit=10
+    jumpseller api GET orders.json -F status=paid --paginate
+    jumpseller api PUT products/123.json -F product[price]=9.99
+    jumpseller api POST products.json --data @product.json
+`.trim();
+
+const program = new Command("api");
+
+program
+  .summary("Send a request to the Jumpseller API")
+  .description(HELP)
+  .argument("<method>", "HTTP method: GET, POST, PUT, PATCH or DELETE", validateHttpMethod)
+  .argument("<path>", "API path, such as products.json or /v1/orders.json")
+  .option("-F, --field <key=value>", "Add a typed parameter (repeatable)", validationCollector(validateField), [])
+  .option("-f, --raw-field <key=value>", "Add a string parameter (repeatable)", validationCollector(validateField), [])
+  .option("--data <body>", "Raw request body, @file to read it from a file or - for standard input")
+  .option("--paginate", "Follow pages and print all results as one list")
+  .option("-i, --include", "Print the response status and headers")
+  .action(request);
+
+export default program;
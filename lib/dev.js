@@ -0,0 +1,62 @@
+import { Command } from "commander";
+import path from "path";
+
+import { MockApiServer } from "./services/mock.js";
+import { validateStoreDomain, validatePort } from "./input.js";
+
+const MOCK_API_READY = `
+Mock Jumpseller API for %s listening on %s
+Themes are stored in %s
+
+Point the CLI at it from another terminal with:
+    export JUMPSELLER_API_URL=%s
+`.trim();
+
+async function mockApi(options) {
+  const folder = path.resolve(options.dir);
+  const server = new MockApiServer(folder, { store: options.as });
+  const address = await server.listen(options.port, options.host);
+  const url = `http://${options.host}:${address.port}`;
+  console.info(MOCK_API_READY, options.as, url, folder, url);
+
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  await server.close();
+  console.info("Mock API stopped");
+}
+
+const SUMMARY = "Tools for local development against the Jumpseller API";
+
+const program = new Command("dev");
+
+program.helpCommand(false).usage("command <arguments...>").summary(SUMMARY).description(`${SUMMARY}.`);
+
+const MOCK_API_HELP = `Serve a local mock of the Jumpseller API.
+
+Implements the endpoints used by the theme commands (list, apply, rename,
+delete, watch, export and import) plus a fake presigned upload target, with
+themes stored as plain folders under --dir. Products, orders and webhooks
+are kept in JSON files there; orders can be read and have their status
+updated, but not be created. Any Basic credentials are
+accepted, and /v1/whoami reports the store given with --as.
+
+Set JUMPSELLER_API_URL to the printed URL so other commands use the mock
+instead of the real API, for example with a throwaway "test" store:
+
+    jumpseller access add test
+    JUMPSELLER_API_URL=http://localhost:4000 jumpseller --store test theme list
+`.trim();
+
+program
+  .command("mock-api")
+  .summary("Serve a local mock of the Jumpseller API")
+  .description(MOCK_API_HELP)
+  .option("-p, --port <port>", "Port to listen on", validatePort, 4000)
+  .option("--host <host>", "Interface to listen on", "localhost")
+  .option("--dir <path>", "Folder where themes are stored", ".jumpseller-mock")
+  .option("--as <store>", "Store reported by the mock", validateStoreDomain, "test.localhost")
+  .action(mockApi);
+
+export default program;
@@ -0,0 +1,165 @@
+import { Command, InvalidArgumentError } from "commander";
+import { format } from "util";
+import path from "path";
+
+import Auth from "./services/auth.js";
+import Api, { NotFoundError, NetworkError } from "./services/api.js";
+import { HOOK_EVENTS, HookReceiver, replayEvent } from "./services/hooks.js";
+
+import { withCurrentStore, reportError } from "./middleware.js";
+import { validateRecordId, validatePort, validationCollector } from "./input.js";
+import { printRecords, formatDateTime } from "./output.js";
+
+const HOOKS_HEADER = {
+  id: "id",
+  event: "event",
+  url: "url",
+  created_at: "created",
+};
+
+function hookNotFound(id, store) {
+  return (error) => {
+    if (error instanceof NotFoundError) throw new NotFoundError(format("Webhook %s not found in %s", id, store), { store });
+    throw error;
+  };
+}
+
+function validateHookEvent(value) {
+  if (HOOK_EVENTS.includes(value)) return value;
+  throw new InvalidArgumentError(`Invalid event: "${value}". Expected one of ${HOOK_EVENTS.join(", ")}.`);
+}
+
+function validateUrl(value) {
+  try {
+    if (/^https?:$/.test(new URL(value).protocol)) return value;
+  } catch {
+    // reported below
+  }
+  throw new InvalidArgumentError(`Invalid URL: "${value}"`);
+}
+
+function hooksSecret(options) {
+  return options.secret || process.env.JUMPSELLER_HOOKS_TOKEN;
+}
+
+const list = withCurrentStore(async function list() {
+  const api = new Api(Auth.currentStore());
+  const response = await api.get("/v1/hooks.json");
+  const hooks = (await response.json()).map(({ hook }) => hook);
+  printRecords(HOOKS_HEADER, hooks.map((hook) => ({ ...hook, created_at: hook.created_at && formatDateTime(Date.parse(hook.created_at)) })));
+});
+
+const create = withCurrentStore(async function create(event, url) {
+  const api = new Api(Auth.currentStore());
+  const response = await api.post("/v1/hooks.json", {}, { hook: { event, url } });
+  const { hook } = await response.json();
+  console.info("Webhook %s created for %s", hook.id, event);
+});
+
+const remove = withCurrentStore(async function remove(ids) {
+  const store = Auth.currentStore();
+  const api = new Api(store);
+
+  const responses = ids.map(async (id) => {
+    try {
+      await api.delete(`/v1/hooks/${id}.json`).catch(hookNotFound(id, store));
+      console.info("Webhook %s successfully deleted", id);
+    } catch (error) {
+      reportError(error);
+    }
+  });
+  await Promise.all(responses);
+});
+
+async function listen(options) {
+  const secret = hooksSecret(options);
+  const receiver = new HookReceiver({ secret, folder: options.save });
+  const address = await receiver.listen(options.port, options.host);
+  console.info("=== Listening for webhooks on http://%s:%d", options.host, address.port);
+  if (!secret) console.info("=== Signatures are not verified, use --secret or JUMPSELLER_HOOKS_TOKEN");
+  if (options.save) console.info("=== Saving events to %s", path.resolve(options.save));
+
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  await receiver.close();
+  console.info("Stopped listening for webhooks");
+}
+
+async function replay(files, options) {
+  for (const file of files) {
+    try {
+      const { event, response } = await replayEvent(file, options.to, { secret: hooksSecret(options) });
+      console.info("%s %s sent to %s: %d %s", event.event, file, options.to, response.status, response.statusText);
+      if (!response.ok) process.exitCode = 1;
+    } catch (error) {
+      if (error.name === "TimeoutError") reportError(new NetworkError(`${options.to} did not answer ${file} in time`));
+      else reportError(error.cause ? new NetworkError(`Could not reach ${options.to}: ${error.cause.message}`) : error);
+    }
+  }
+}
+
+const SUMMARY = "Manage store webhooks and receive them locally";
+
+const program = new Command("hooks");
+
+program.helpCommand(false).usage("command <arguments...>").summary(SUMMARY).description(`${SUMMARY}.`);
+
+program
+  .command("list")
+  .description("List the webhooks of the store")
+  .action(list);
+
+program
+  .command("create")
+  .description("Notify a URL of a store event")
+  .argument("<event>", `Event: ${HOOK_EVENTS.join(", ")}`, validateHookEvent)
+  .argument("<url>", "URL the events are posted to", validateUrl)
+  .action(create);
+
+program
+  .command("delete")
+  .description("Delete one or more webhooks")
+  .argument("<hook-id...>", "Webhook id", validationCollector(validateRecordId))
+  .action(remove);
+
+const LISTEN_HELP = `Receive webhooks on a local HTTP server.
+
+Every POST request is printed with its event name and pretty printed body.
+With --secret (or JUMPSELLER_HOOKS_TOKEN) set to the hooks token of the
+store, the Jumpseller-Hmac-Sha256 signature is checked and requests with an
+invalid one are answered with 401.
+
+Use --save to keep every event as a JSON file, which \`hooks replay\` can
+send again to a local handler while developing it. To receive events from
+the store itself, expose the port with a tunnel and register its public URL
+with \`hooks create\`.
+`.trim();
+
+program
+  .command("listen")
+  .summary("Receive webhooks on a local HTTP server")
+  .description(LISTEN_HELP)
+  .option("-p, --port <port>", "Port to listen on", validatePort, 4567)
+  .option("--host <host>", "Interface to listen on", "localhost")
+  .option("--secret <token>", "Hooks token used to verify signatures")
+  .option("--save <folder>", "Save received events to this folder")
+  .action(listen);
+
+const REPLAY_HELP = `Send events saved by \`hooks listen --save\` to a URL.
+
+Events are posted with their original body, event name and signature, or
+signed again when --secret (or JUMPSELLER_HOOKS_TOKEN) is given.
+`.trim();
+
+program
+  .command("replay")
+  .summary("Send saved events to a URL")
+  .description(REPLAY_HELP)
+  .requiredOption("--to <url>", "URL to send the events to", validateUrl)
+  .option("--secret <token>", "Hooks token used to sign the events")
+  .argument("<event-file...>", "Saved event files")
+  .action(replay);
+
+export default program;
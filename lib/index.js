@@ -1,22 +1,53 @@
 import { program } from "commander";
 
 import Auth from "./services/auth.js";
-import { validateStoreDomain } from "./input.js";
-import AccessCommand from "./access.js";
+import { setRequestTimeout } from "./services/api.js";
+import { validateStoreDomain, validateOutputFormat, validateSeconds } from "./input.js";
+import { reportError } from "./middleware.js";
+import { setOutputFormat } from "./output.js";
+import AccessCommand, { promptForPassphrase } from "./access.js";
 import ThemeCommand from "./theme.js";
+import InitCommand from "./init.js";
+import DevCommand from "./dev.js";
+import ApiCommand from "./api.js";
+import ProductsCommand from "./products.js";
+import OrdersCommand from "./orders.js";
+import HooksCommand from "./hooks.js";
 
 function setAuthStoreFromOption(command) {
   const options = command.opts();
   if (options.store) Auth.setCommandStore(options.store);
 }
 
+function setRequestTimeoutFromOption(command) {
+  const options = command.opts();
+  setRequestTimeout(options.timeout * 1000);
+}
+
+function setOutputFormatFromOption(command) {
+  const options = command.opts();
+  setOutputFormat(options.output);
+}
+
+Auth.setPassphrasePrompt(promptForPassphrase);
+
 program
   .version("0.1.0", "-v, --version")
   .description("CLI for the Jumpseller API")
   .option("-s, --store <store>", "Set the store for this command", validateStoreDomain)
-  .hook("preSubcommand", setAuthStoreFromOption);
+  .option("-o, --output <format>", "Output format for listings: table, json, csv or tsv", validateOutputFormat, "table")
+  .option("--timeout <seconds>", "Give up on API requests without a response after this long", validateSeconds, 30)
+  .hook("preSubcommand", setAuthStoreFromOption)
+  .hook("preSubcommand", setRequestTimeoutFromOption)
+  .hook("preSubcommand", setOutputFormatFromOption);
 
 program.addCommand(AccessCommand);
 program.addCommand(ThemeCommand);
+program.addCommand(InitCommand);
+program.addCommand(ProductsCommand);
+program.addCommand(OrdersCommand);
+program.addCommand(HooksCommand);
+program.addCommand(ApiCommand);
+program.addCommand(DevCommand);
 
-program.parse(process.argv);
+program.parseAsync(process.argv).catch(reportError);
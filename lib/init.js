@@ -0,0 +1,95 @@
+import { Command } from "commander";
+import fs from "fs";
+import path from "path";
+import readline from "readline-sync";
+
+import Auth from "./services/auth.js";
+import Api from "./services/api.js";
+import { PROJECT_FILE, ProjectError, writeProject } from "./services/project.js";
+
+import { validateStoreDomain, validateThemeReference } from "./input.js";
+
+/**
+ * Ask for a value until the validator accepts it, or the default is taken.
+ */
+function promptFor(label, validator, defaultValue) {
+  const hint = defaultValue === undefined ? "" : ` [${defaultValue}]`;
+  const answer = readline.question(`${label}${hint}: `).trim();
+  if (!answer) return defaultValue;
+  try {
+    return validator(answer);
+  } catch (error) {
+    console.error(error.message);
+    return promptFor(label, validator, defaultValue);
+  }
+}
+
+async function listThemes(store) {
+  if (!store || !Auth.getCredentials(store)) return [];
+  try {
+    const response = await new Api(store).get("/v1/themes/list", {});
+    return await response.json();
+  } catch (error) {
+    console.error("Could not list the themes of %s: %s", store, error.message);
+    return [];
+  }
+}
+
+async function init(options) {
+  const file = path.resolve(PROJECT_FILE);
+  if (fs.existsSync(file) && !options.force) throw new ProjectError(`${file} already exists, use --force to overwrite it`);
+
+  const interactive = process.stdin.isTTY;
+  let store = Auth.currentStore() || undefined;
+  if (interactive) store = promptFor("Store code or domain", validateStoreDomain, store);
+
+  let theme = options.theme;
+  if (!theme && interactive) {
+    const themes = await listThemes(store);
+    themes.forEach(({ id, name, in_use }) => console.info("  %d  %s%s", id, name, in_use ? " (active)" : ""));
+    theme = promptFor("Theme id", validateThemeReference, themes.find(({ in_use }) => in_use)?.id);
+  }
+
+  let folder = options.folder;
+  if (!folder && interactive) folder = promptFor("Theme folder", (value) => value, ".");
+
+  const config = { store, theme, folder: folder && folder !== "." ? folder : undefined };
+  console.info("Project settings written to %s", writeProject(process.cwd(), config));
+  if (!theme) console.info("No theme set yet, add a \"theme\" id to %s before syncing", PROJECT_FILE);
+}
+
+const HELP = `Create a ${PROJECT_FILE} project file in the current folder.
+
+The file sets the store, the installed theme and the local theme folder of
+the project, so theme commands run anywhere below it work without arguments.
+Missing values are asked for interactively, suggesting the current store and
+its active theme.
+
+Besides store, theme and folder, the file can hold "ignore" patterns added to
+those of .jumpsellerignore, "allow" and "block" patterns, and default options
+per command in sections named after them:
+
+    {
+      "store": "mystore",
+      "theme": 654321,
+      "folder": "theme",
+      "ignore": ["*.psd"],
+      "watch": { "debounce": 500, "initial": "push" },
+      "import": { "check": true }
+    }
+
+Options given on the command line take precedence, except --allow, --block
+and --target, which add to the patterns and targets listed in the file.
+`.trim();
+
+const program = new Command("init");
+
+program
+  .summary(`Create a ${PROJECT_FILE} project file`)
+  .description(HELP)
+  .option("--theme <theme-id>", "Installed theme of the project", validateThemeReference)
+  .option("--folder <path>", "Theme folder, relative to the project file (default .)")
+  .option("--force", `Overwrite an existing ${PROJECT_FILE}`)
+  .action(init);
+
+export default program;
@@ -1,10 +1,16 @@
 import { InvalidArgumentError } from "commander";
-import fs from "fs";
 
 import { parseStoreReference } from "./services/auth.js";
+import { OUTPUT_FORMATS } from "./output.js";
+import { resolveOrderStatus, ORDER_STATUSES } from "./services/orders.js";
+
+const CONFLICT_MODES = ["overwrite", "skip", "prompt", "backup"];
+const INITIAL_SYNC_MODES = ["push", "pull", "none", "prompt"];
+const JOURNAL_MODES = ["replay", "discard", "prompt"];
+const HTTP_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
 
 export function validationCollector(validator, initial = []) {
-  return (arg, args) => ((args ??= initial), args.push(validator(arg)), args);
+  return (arg, args) => [...(args ?? initial), validator(arg)];
 }
 
 export function validateThemeReference(ref) {
@@ -12,9 +18,71 @@ export function validateThemeReference(ref) {
   throw new InvalidArgumentError(`Invalid theme id: "${ref}"`);
 }
 
-export function validateZipFilename(filename) {
-  if (fs.existsSync(filename)) throw new InvalidArgumentError("File already exists");
-  return filename;
+export function validateRecordId(ref) {
+  if (ref.match(/^[1-9]\d*$/)) return +ref;
+  throw new InvalidArgumentError(`Invalid id: "${ref}"`);
+}
+
+/**
+ * Parse a date such as 2024-05-31 or a full ISO 8601 timestamp. Plain dates
+ * are taken as the start of that day in local time, or its end when
+ * endOfDay is set.
+ */
+function parseDate(value, endOfDay) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = match ? new Date(+match[1], match[2] - 1, +match[3]) : new Date(value);
+  if (isNaN(date)) throw new InvalidArgumentError(`Invalid date: "${value}". Expected YYYY-MM-DD or an ISO 8601 timestamp.`);
+  if (match && endOfDay) date.setHours(23, 59, 59, 999);
+  return date;
+}
+
+export function validateStartDate(value) {
+  return parseDate(value, false);
+}
+
+export function validateEndDate(value) {
+  return parseDate(value, true);
+}
+
+export function validateOrderStatus(value) {
+  const status = resolveOrderStatus(value);
+  if (status) return status;
+  throw new InvalidArgumentError(`Invalid order status: "${value}". Expected one of ${ORDER_STATUSES.join(", ")}.`);
+}
+
+export function validateMilliseconds(value) {
+  if (value.match(/^\d+$/)) return +value;
+  throw new InvalidArgumentError(`Invalid duration in milliseconds: "${value}"`);
+}
+
+export function validateCount(value) {
+  if (value.match(/^[1-9]\d*$/)) return +value;
+  throw new InvalidArgumentError(`Invalid count: "${value}"`);
+}
+
+export function validateSeconds(value) {
+  if (value.match(/^\d+(\.\d+)?$/) && +value > 0) return +value;
+  throw new InvalidArgumentError(`Invalid duration in seconds: "${value}"`);
+}
+
+export function validatePort(value) {
+  if (value.match(/^\d+$/) && +value < 65536) return +value;
+  throw new InvalidArgumentError(`Invalid port: "${value}"`);
+}
+
+export function validateConflictMode(value) {
+  if (CONFLICT_MODES.includes(value)) return value;
+  throw new InvalidArgumentError(`Invalid conflict mode: "${value}". Expected one of ${CONFLICT_MODES.join(", ")}.`);
+}
+
+export function validateInitialSync(value) {
+  if (INITIAL_SYNC_MODES.includes(value)) return value;
+  throw new InvalidArgumentError(`Invalid initial sync: "${value}". Expected one of ${INITIAL_SYNC_MODES.join(", ")}.`);
+}
+
+export function validateJournalMode(value) {
+  if (JOURNAL_MODES.includes(value)) return value;
+  throw new InvalidArgumentError(`Invalid journal mode: "${value}". Expected one of ${JOURNAL_MODES.join(", ")}.`);
 }
 
 export function validateStoreDomain(value) {
@@ -22,3 +90,34 @@ export function validateStoreDomain(value) {
   if (ok) return domain;
   throw new InvalidArgumentError(`Invalid store reference: "${value}". Expected a store code or jumpseller domain.`);
 }
+
+/**
+ * Parse a watch target given as <store>:<theme-id>, or a bare theme id in
+ * the current store.
+ */
+export function validateThemeTarget(value) {
+  const separator = value.lastIndexOf(":");
+  const theme = validateThemeReference(value.slice(separator + 1));
+  if (separator < 0) return { store: undefined, theme };
+  return { store: validateStoreDomain(value.slice(0, separator)), theme };
+}
+
+export function validateHttpMethod(value) {
+  const method = value.toUpperCase();
+  if (HTTP_METHODS.includes(method)) return method;
+  throw new InvalidArgumentError(`Invalid method: "${value}". Expected one of ${HTTP_METHODS.join(", ")}.`);
+}
+
+/**
+ * Parse a key=value request field into a pair.
+ */
+export function validateField(value) {
+  const separator = value.indexOf("=");
+  if (separator > 0) return [value.slice(0, separator), value.slice(separator + 1)];
+  throw new InvalidArgumentError(`Invalid field: "${value}". Expected key=value.`);
+}
+
+export function validateOutputFormat(value) {
+  if (OUTPUT_FORMATS.includes(value)) return value;
+  throw new InvalidArgumentError(`Invalid output format: "${value}". Expected one of ${OUTPUT_FORMATS.join(", ")}.`);
+}
@@ -1,6 +1,8 @@
 import { CommanderError } from "commander";
+import { format } from "util";
 
 import Auth from "./services/auth.js";
+import { AuthenticationError } from "./services/api.js";
 
 class NoStoreError extends CommanderError {
   constructor(message) {
@@ -28,12 +30,35 @@ No credentials are set for store %s.
 Use \`jumpseller access\` to setup acces credentials and a default store.
 `.trim();
 
+export function requireCredentials(store) {
+  if (!Auth.getCredentials(store)) throw new NoCredentialsError(NO_CREDENTIALS_ERROR.replace('%s', store));
+}
+
 export function withCurrentStore(action) {
   return (...args) => {
     const store = Auth.currentStore();
-    const credentials = Auth.getCredentials(store);
     if (!store) throw new NoStoreError(NO_STORE_ERROR);
-    if (!credentials) throw new NoCredentialsError(NO_CREDENTIALS_ERROR.replace('%s', store));
+    requireCredentials(store);
     return action(...args);
   };
 }
+
+const AUTHENTICATION_ERROR = `
+%s
+The credentials for %s were rejected. Use \`jumpseller access add\` to update them.
+`.trim();
+
+/**
+ * Print a readable message for an error raised by a command and set the
+ * process exit code accordingly, without exiting right away.
+ */
+export function reportError(error) {
+  if (error instanceof AuthenticationError) {
+    console.error("error: %s", format(AUTHENTICATION_ERROR, error.message, error.store));
+  } else if (typeof error.exitCode === "number") {
+    console.error("error: %s", error.message);
+  } else {
+    console.error("Unexpected error:", error);
+  }
+  process.exitCode = error.exitCode || 1;
+}
@@ -0,0 +1,193 @@
+import { Command } from "commander";
+import { format } from "util";
+import fs from "fs";
+
+import Auth from "./services/auth.js";
+import Api, { NotFoundError } from "./services/api.js";
+import { formatCsv } from "./services/csv.js";
+import { CSV_COLUMNS, ORDER_STATUSES, customerName, orderRecord, matchesOrder } from "./services/orders.js";
+
+import { withCurrentStore } from "./middleware.js";
+import { validateRecordId, validateCount, validateOrderStatus, validateStartDate, validateEndDate } from "./input.js";
+import { printRecords, isMachineOutput, formatDateTime } from "./output.js";
+
+const ORDERS_HEADER = {
+  id: "id",
+  created_at: "created",
+  status: "status",
+  shipment_status: "shipment",
+  customer_name: "customer",
+  customer_email: "email",
+  items: "items",
+  total: "total",
+  currency: "",
+};
+
+const FIELD_HEADER = { field: "field", value: "value" };
+
+const ITEMS_HEADER = {
+  sku: "sku",
+  name: "name",
+  qty: "qty",
+  price: "price",
+  discount: "discount",
+};
+
+function printOrders(orders) {
+  const records = orders.map((order) => {
+    const record = orderRecord(order);
+    return { ...record, created_at: formatDateTime(Date.parse(record.created_at)) };
+  });
+  printRecords(ORDERS_HEADER, records);
+}
+
+function printFields(fields) {
+  const records = Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== "");
+  printRecords(FIELD_HEADER, records.map(([field, value]) => ({ field, value: String(value) })));
+}
+
+function orderNotFound(id, store) {
+  return (error) => {
+    if (error instanceof NotFoundError) throw new NotFoundError(format("Order %s not found in %s", id, store), { store });
+    throw error;
+  };
+}
+
+function ordersPath(status) {
+  return status ? `/v1/orders/status/${encodeURIComponent(status)}.json` : "/v1/orders.json";
+}
+
+/**
+ * Fetch a single page of orders, or every page when listing them all or
+ * filtering by date or customer, which the API cannot do by itself. Orders
+ * come newest first, so paging stops at the first one older than --since.
+ */
+async function fetchOrders(api, options) {
+  const filtered = options.since || options.until || options.customer;
+  if (!options.all && !filtered) {
+    const response = await api.get(ordersPath(options.status), { page: options.page, limit: options.limit });
+    return (await response.json()).map(({ order }) => order);
+  }
+  const orders = [];
+  for await (const page of api.pages(ordersPath(options.status))) {
+    const pageOrders = page.map(({ order }) => order);
+    orders.push(...pageOrders.filter((order) => matchesOrder(order, options)));
+    if (options.since && pageOrders.some((order) => Date.parse(order.created_at) < options.since.getTime())) break;
+  }
+  return orders;
+}
+
+const list = withCurrentStore(async function list(options) {
+  const api = new Api(Auth.currentStore());
+  printOrders(await fetchOrders(api, options));
+});
+
+const show = withCurrentStore(async function show(id) {
+  const store = Auth.currentStore();
+  const api = new Api(store);
+  const response = await api.get(`/v1/orders/${id}.json`).catch(orderNotFound(id, store));
+  const { order } = await response.json();
+
+  if (isMachineOutput()) return console.info(JSON.stringify(order, null, 2));
+
+  const customer = order.customer || {};
+  printFields({
+    id: order.id,
+    created: formatDateTime(Date.parse(order.created_at)),
+    status: order.status,
+    shipment: order.shipment_status,
+    customer: customerName(customer),
+    email: customer.email,
+    phone: customer.phone,
+    subtotal: order.subtotal,
+    shipping: order.shipping,
+    discount: order.discount,
+    tax: order.tax,
+    total: `${order.total} ${order.currency || ""}`.trim(),
+  });
+
+  console.info("Line items:");
+  printRecords(ITEMS_HEADER, order.products || []);
+
+  const address = order.shipping_address || {};
+  console.info("Shipping:");
+  printFields({
+    method: order.shipping_method_name,
+    tracking: order.tracking_number,
+    name: customerName(address),
+    address: address.address,
+    city: address.city,
+    municipality: address.municipality,
+    region: address.region,
+    postal: address.postal,
+    country: address.country,
+  });
+});
+
+const updateStatus = withCurrentStore(async function updateStatus(id, status) {
+  const store = Auth.currentStore();
+  const api = new Api(store);
+  await api.put(`/v1/orders/${id}.json`, {}, { order: { status } }).catch(orderNotFound(id, store));
+  console.info("Order %s status changed to %s", id, status);
+});
+
+const exportOrders = withCurrentStore(async function exportOrders(file, options) {
+  const api = new Api(Auth.currentStore());
+  const orders = await fetchOrders(api, { ...options, all: true });
+  const content = options.csv ? formatCsv(CSV_COLUMNS, orders.map(orderRecord)) : JSON.stringify(orders, null, 2) + "\n";
+
+  if (!file) return process.stdout.write(content);
+  fs.writeFileSync(file, content);
+  console.info("Exported %d orders to %s", orders.length, file);
+});
+
+const SUMMARY = "Manage orders in a store";
+
+const program = new Command("orders");
+
+program.helpCommand(false).usage("command <arguments...>").summary(SUMMARY).description(`${SUMMARY}.`);
+
+const filterOptions = (command) =>
+  command
+    .option("--status <status>", `Only orders with this status: ${ORDER_STATUSES.join(", ")}`, validateOrderStatus)
+    .option("--since <date>", "Only orders created on or after this date (YYYY-MM-DD)", validateStartDate)
+    .option("--until <date>", "Only orders created on or before this date (YYYY-MM-DD)", validateEndDate);
+
+const LIST_HELP = `List orders in the store, newest first.
+
+A single page is shown unless --all is given. Filtering by date or customer
+goes through every page, as the API cannot filter on those by itself.
+`.trim();
+
+filterOptions(program.command("list").summary("List orders in the store").description(LIST_HELP))
+  .option("--customer <text>", "Only orders whose customer email or name contains this text")
+  .option("--page <n>", "Page to show", validateCount, 1)
+  .option("--limit <n>", "Orders per page", validateCount, 50)
+  .option("--all", "List every order, following all pages")
+  .action(list);
+
+program
+  .command("show")
+  .description("Show an order with its line items and shipping details")
+  .argument("<order-id>", "Order id", validateRecordId)
+  .action(show);
+
+program
+  .command("update-status")
+  .description("Change the status of an order")
+  .argument("<order-id>", "Order id", validateRecordId)
+  .argument("<status>", `New status: ${ORDER_STATUSES.join(", ")}`, validateOrderStatus)
+  .action(updateStatus);
+
+const EXPORT_HELP = `Export orders as JSON, or as CSV with --csv, following all pages.
+
+The CSV has one line per order with the columns ${CSV_COLUMNS.join(", ")}.
+Without a file the export is printed.
+`.trim();
+
+filterOptions(program.command("export").summary("Export orders as JSON or CSV").description(EXPORT_HELP))
+  .option("--csv", "Export as CSV instead of JSON")
+  .argument("[file]", "File to write the export to")
+  .action(exportOrders);
+
+export default program;
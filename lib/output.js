@@ -1,5 +1,32 @@
 import { table } from "table";
 
+import { escapeCsv } from "./services/csv.js";
+
+export const OUTPUT_FORMATS = ["table", "json", "csv", "tsv"];
+
+let outputFormat = "table";
+
+/**
+ * Designate the format for printed records from the command line
+ */
+export function setOutputFormat(format) {
+  outputFormat = format;
+}
+
+/**
+ * Is output meant to be read by other programs rather than people?
+ */
+export function isMachineOutput() {
+  return outputFormat !== "table";
+}
+
+/**
+ * Can transient progress lines be drawn on stdout?
+ */
+export function showsProgress(stream = process.stdout) {
+  return !isMachineOutput() && !!stream.isTTY;
+}
+
 export function widetable(matrix, columns = []) {
   const drawVerticalLine = (a, b) => a == 0 || a == b || columns.includes(a);
   return table(matrix, { drawVerticalLine });
@@ -16,6 +43,51 @@ export function assembleTable(info, content) {
   return [header].concat(rows);
 }
 
+function escapeTsv(value) {
+  return String(value ?? "").replace(/[\t\r\n]+/g, " ");
+}
+
+function delimited(keys, records, separator, escape) {
+  const lines = [keys].concat(records.map((record) => keys.map((key) => record[key])));
+  return lines.map((line) => line.map(escape).join(separator)).join("\n") + "\n";
+}
+
+/**
+ * Render records in the current output format. The header maps record keys
+ * to table labels; machine formats use the keys themselves.
+ */
+export function formatRecords(header, records) {
+  const keys = Object.keys(header);
+  switch (outputFormat) {
+    case "json":
+      return JSON.stringify(records.map((record) => Object.fromEntries(keys.map((key) => [key, record[key] ?? null]))), null, 2) + "\n";
+    case "csv":
+      return delimited(keys, records, ",", escapeCsv);
+    case "tsv":
+      return delimited(keys, records, "\t", escapeTsv);
+    default:
+      return widetable(assembleTable(header, records));
+  }
+}
+
+export function printRecords(header, records) {
+  process.stdout.write(formatRecords(header, records));
+}
+
+/**
+ * Format a timestamp for the current output format: relative for tables,
+ * full ISO 8601 otherwise.
+ */
+export function formatTimeAgo(date) {
+  if (!date) return date;
+  return isMachineOutput() ? new Date(date).toISOString() : timeAgo(date);
+}
+
+export function formatDateTime(date) {
+  if (!date) return date;
+  return isMachineOutput() ? new Date(date).toISOString() : new Date(date).toLocaleString();
+}
+
 export function timeAgo(date) {
   const output = (c, label) => ((c = Math.floor(c)), `${c} ${label}${c === 1 ? "" : "s"} ago`);
   let ms = Math.floor(new Date() - date);
@@ -0,0 +1,259 @@
+import { Command, InvalidArgumentError } from "commander";
+import { format } from "util";
+import fs from "fs";
+import path from "path";
+import plimit from "p-limit";
+
+import Auth from "./services/auth.js";
+import Api, { NotFoundError } from "./services/api.js";
+import { formatCsv, parseCsv } from "./services/csv.js";
+import { CSV_COLUMNS, PRODUCT_STATUSES, productRecord, parseProductRow } from "./services/products.js";
+
+import { withCurrentStore, reportError } from "./middleware.js";
+import { validateRecordId, validateCount, validationCollector } from "./input.js";
+import { printRecords, isMachineOutput, formatTimeAgo } from "./output.js";
+
+const PRODUCTS_HEADER = {
+  id: "id",
+  name: "name",
+  sku: "sku",
+  price: "price",
+  stock: "stock",
+  status: "status",
+  updated_at: "last updated",
+};
+
+const FIELD_HEADER = { field: "field", value: "value" };
+
+function printProducts(products) {
+  const records = products.map((product) => ({
+    ...product,
+    stock: product.stock_unlimited ? "unlimited" : product.stock,
+    updated_at: product.updated_at && formatTimeAgo(Date.parse(product.updated_at)),
+  }));
+  printRecords(PRODUCTS_HEADER, records);
+}
+
+function productNotFound(id, store) {
+  return (error) => {
+    if (error instanceof NotFoundError) throw new NotFoundError(format("Product %s not found in %s", id, store), { store });
+    throw error;
+  };
+}
+
+async function fetchProducts(api, options) {
+  if (!options.all) {
+    const response = await api.get("/v1/products.json", { page: options.page, limit: options.limit });
+    return (await response.json()).map(({ product }) => product);
+  }
+  const products = [];
+  for await (const page of api.pages("/v1/products.json")) products.push(...page.map(({ product }) => product));
+  return products;
+}
+
+/**
+ * Validate product options given on the command line, the same way rows of
+ * an imported CSV file are.
+ */
+function productFields(options, id) {
+  const { fields, errors } = parseProductRow({ ...options, id });
+  if (errors.length > 0) throw new InvalidArgumentError(`Invalid product: ${errors.join(", ")}`);
+  return fields;
+}
+
+const list = withCurrentStore(async function list(options) {
+  const api = new Api(Auth.currentStore());
+  printProducts(await fetchProducts(api, options));
+});
+
+const get = withCurrentStore(async function get(id) {
+  const store = Auth.currentStore();
+  const api = new Api(store);
+  const response = await api.get(`/v1/products/${id}.json`).catch(productNotFound(id, store));
+  const { product } = await response.json();
+
+  if (isMachineOutput()) return console.info(JSON.stringify(product, null, 2));
+  const fields = Object.entries(product).filter(([, value]) => value !== null && typeof value !== "object");
+  printRecords(FIELD_HEADER, fields.map(([field, value]) => ({ field, value: String(value) })));
+});
+
+const create = withCurrentStore(async function create(options) {
+  const api = new Api(Auth.currentStore());
+  const response = await api.post("/v1/products.json", {}, { product: productFields(options) });
+  const { product } = await response.json();
+  console.info("Product %s successfully created", product.id);
+});
+
+const update = withCurrentStore(async function update(id, options) {
+  const store = Auth.currentStore();
+  const api = new Api(store);
+  const fields = productFields(options, String(id));
+  if (Object.keys(fields).length === 0) throw new InvalidArgumentError("Nothing to update, give at least one field");
+
+  await api.put(`/v1/products/${id}.json`, {}, { product: fields }).catch(productNotFound(id, store));
+  console.info("Product %s successfully updated", id);
+});
+
+const remove = withCurrentStore(async function remove(ids) {
+  const store = Auth.currentStore();
+  const api = new Api(store);
+
+  const responses = ids.map(async (id) => {
+    try {
+      await api.delete(`/v1/products/${id}.json`).catch(productNotFound(id, store));
+      console.info("Product %s successfully deleted", id);
+    } catch (error) {
+      reportError(error);
+    }
+  });
+  await Promise.all(responses);
+});
+
+const exportProducts = withCurrentStore(async function exportProducts(file, options) {
+  const api = new Api(Auth.currentStore());
+  const products = await fetchProducts(api, { all: true });
+  const content = options.csv ? formatCsv(CSV_COLUMNS, products.map(productRecord)) : JSON.stringify(products, null, 2) + "\n";
+
+  if (!file) return process.stdout.write(content);
+  fs.writeFileSync(file, content);
+  console.info("Exported %d products to %s", products.length, file);
+});
+
+const IMPORT_HEADER = { row: "row", action: "action", id: "id", name: "name", result: "result" };
+
+function failuresFilename(file) {
+  const { dir, name } = path.parse(file);
+  return name.endsWith(".failed") ? file : path.join(dir, `${name}.failed.csv`);
+}
+
+/**
+ * Create or update one product per CSV row, and write the rows that failed
+ * to a CSV file with an extra error column, which can be imported again
+ * once fixed.
+ */
+const importProducts = withCurrentStore(async function importProducts(file, options) {
+  const api = new Api(Auth.currentStore());
+  const { header, records } = parseCsv(fs.readFileSync(file, "utf-8"));
+  if (!header.includes("id") && !header.includes("name")) {
+    throw new InvalidArgumentError(`${file} needs an id or name column. Expected columns: ${CSV_COLUMNS.join(", ")}`);
+  }
+
+  const results = records.map((record, i) => {
+    const { id, fields, errors } = parseProductRow(record);
+    const result = errors.length > 0 ? `invalid: ${errors.join(", ")}` : options.dryRun ? "ok" : "pending";
+    return { row: i + 2, record, fields, id, action: id ? "update" : "create", name: fields.name, result, failed: errors.length > 0 };
+  });
+
+  if (!options.dryRun) {
+    const limiter = plimit(options.concurrency);
+    await Promise.all(results.filter(({ failed }) => !failed).map((result) => limiter(async () => {
+      try {
+        if (result.id) {
+          await api.put(`/v1/products/${result.id}.json`, {}, { product: result.fields });
+        } else {
+          const response = await api.post("/v1/products.json", {}, { product: result.fields });
+          result.id = (await response.json()).product.id;
+        }
+        result.result = "ok";
+      } catch (error) {
+        Object.assign(result, { result: `error: ${error.message}`, failed: true });
+      }
+    })));
+  }
+
+  printRecords(IMPORT_HEADER, results);
+  const failures = results.filter(({ failed }) => failed);
+  const failuresFile = options.failures || failuresFilename(file);
+  console.info("%d rows, %d %s, %d failed", results.length, results.length - failures.length, options.dryRun ? "valid" : "imported", failures.length);
+  if (failures.length > 0) process.exitCode = 1;
+  if (options.dryRun) return;
+
+  if (failures.length === 0) return fs.rmSync(failuresFile, { force: true });
+  const columns = header.filter((column) => column !== "error").concat("error");
+  fs.writeFileSync(failuresFile, formatCsv(columns, failures.map(({ record, result }) => ({ ...record, error: result }))));
+  console.info("Failed rows written to %s, fix them and import that file to resume", failuresFile);
+});
+
+const SUMMARY = "Manage products in a store";
+
+const program = new Command("products");
+
+program.helpCommand(false).usage("command <arguments...>").summary(SUMMARY).description(`${SUMMARY}.`);
+
+const productOptions = (command) =>
+  command
+    .option("--name <name>", "Product name")
+    .option("--sku <sku>", "Stock keeping unit")
+    .option("--barcode <barcode>", "Barcode")
+    .option("--brand <brand>", "Brand")
+    .option("--price <price>", "Price")
+    .option("--discount <discount>", "Discount")
+    .option("--stock <stock>", "Units in stock")
+    .option("--weight <weight>", "Weight")
+    .option("--status <status>", `One of ${PRODUCT_STATUSES.join(", ")}`)
+    .option("--description <html>", "Description");
+
+program
+  .command("list")
+  .description("List products in the store")
+  .option("--page <n>", "Page to show", validateCount, 1)
+  .option("--limit <n>", "Products per page", validateCount, 50)
+  .option("--all", "List every product, following all pages")
+  .action(list);
+
+program
+  .command("get")
+  .description("Show the details of a product")
+  .argument("<product-id>", "Product id", validateRecordId)
+  .action(get);
+
+productOptions(program.command("create").description("Create a product")).action(create);
+
+productOptions(program.command("update").description("Update fields of a product"))
+  .argument("<product-id>", "Product id", validateRecordId)
+  .action(update);
+
+program
+  .command("delete")
+  .description("Delete one or more products")
+  .argument("<product-id...>", "Product id", validationCollector(validateRecordId))
+  .action(remove);
+
+const EXPORT_HELP = `Export every product in the store as JSON, or as CSV with --csv.
+
+The CSV columns are ${CSV_COLUMNS.join(", ")}, the same
+ones read by \`products import\`. Without a file the export is printed.
+`.trim();
+
+program
+  .command("export")
+  .summary("Export all products as JSON or CSV")
+  .description(EXPORT_HELP)
+  .option("--csv", "Export as CSV instead of JSON")
+  .argument("[file]", "File to write the export to")
+  .action(exportProducts);
+
+const IMPORT_HELP = `Create or update products from a CSV file.
+
+Rows with an id update that product and rows without one create a new
+product, which then needs a name. Blank cells leave the field unchanged,
+and columns other than ${CSV_COLUMNS.join(", ")} are ignored.
+
+Every row is validated first and invalid rows are never sent. Use --dry-run
+to only validate and preview the changes. Rows that are invalid or fail to
+import are written to <file>.failed.csv (or --failures) with an error
+column; fix them and import that file to resume. The file is removed once
+every row has been imported.
+`.trim();
+
+program
+  .command("import")
+  .summary("Create or update products from a CSV file")
+  .description(IMPORT_HELP)
+  .option("--dry-run", "Validate the rows and show what would be done")
+  .option("--concurrency <n>", "Rows to import at the same time", validateCount, 4)
+  .option("--failures <file>", "Where to write the rows that failed (default <file>.failed.csv)")
+  .argument("<file>", "CSV file to import")
+  .action(importProducts);
+
+export default program;
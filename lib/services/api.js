@@ -1,9 +1,106 @@
 import Auth from "./auth.js";
 
+const MAX_RETRIES = 3;
+const PAGE_SIZE = 50;
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 60000;
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE"];
+
+let requestTimeout = 30000;
+
 function resolveApiDomain(store) {
+  if (process.env.JUMPSELLER_API_URL) return process.env.JUMPSELLER_API_URL;
   return store.endsWith(".localhost") ? "http://api.localhost" : "https://api.jumpseller.com";
 }
 
+/**
+ * Set how long to wait for a response before giving up on a request
+ */
+export function setRequestTimeout(ms) {
+  requestTimeout = ms;
+}
+
+export function getRequestTimeout() {
+  return requestTimeout;
+}
+
+export class ApiError extends Error {
+  exitCode = 1;
+
+  constructor(message, { status, store, response, body } = {}) {
+    super(message);
+    Error.captureStackTrace(this, this.constructor);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.store = store;
+    this.response = response;
+    this.body = body;
+  }
+}
+
+export class AuthenticationError extends ApiError {
+  exitCode = 3;
+}
+
+export class NotFoundError extends ApiError {
+  exitCode = 4;
+}
+
+export class RateLimitError extends ApiError {
+  exitCode = 5;
+}
+
+export class ServerError extends ApiError {
+  exitCode = 6;
+}
+
+export class NetworkError extends ApiError {
+  exitCode = 7;
+}
+
+function errorClassFor(status) {
+  if (status === 401 || status === 403) return AuthenticationError;
+  if (status === 404) return NotFoundError;
+  if (status === 429) return RateLimitError;
+  if (status >= 500) return ServerError;
+  return ApiError;
+}
+
+/**
+ * Rate limited requests were not processed and can always be retried, but a
+ * server error may come after a write was committed, so only idempotent
+ * requests are retried then.
+ */
+function isRetryable(method, status) {
+  return status === 429 || (status >= 500 && IDEMPOTENT_METHODS.includes(method));
+}
+
+/**
+ * Delay before the next attempt, honouring a Retry-After header given either
+ * in seconds or as an HTTP date.
+ */
+function retryDelay(response, attempt) {
+  const retryAfter = response.headers.get("retry-after");
+  const seconds = Number(retryAfter);
+  let delay = RETRY_BASE_DELAY * 2 ** attempt;
+  if (retryAfter && Number.isFinite(seconds)) delay = seconds * 1000;
+  else if (retryAfter && !isNaN(Date.parse(retryAfter))) delay = Date.parse(retryAfter) - Date.now();
+  return Math.min(Math.max(delay, 0), RETRY_MAX_DELAY);
+}
+
+function errorMessage(method, url, response, text) {
+  let detail = response.statusText;
+  try {
+    const body = JSON.parse(text);
+    detail = body.message || body.error || detail;
+  } catch {
+    // not a JSON body, keep the status text
+  }
+  return `${method} ${url.pathname} failed with ${response.status}: ${detail}`;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 export default class Api {
   constructor(store, credentials) {
     this.store = store;
@@ -27,10 +124,65 @@ export default class Api {
     return this.#request("DELETE", path, params);
   }
 
-  #request(method, path, params, body) {
+  /**
+   * Iterate over the pages of a list endpoint, yielding the items of each
+   * page until a short one is returned.
+   */
+  async *pages(path, params = {}, limit = PAGE_SIZE) {
+    for (let page = 1; ; page++) {
+      const response = await this.get(path, { ...params, limit, page });
+      const items = await response.json();
+      yield items;
+      if (items.length < limit) return;
+    }
+  }
+
+  /**
+   * Send a request with any method and an already serialized body, for
+   * endpoints without a dedicated helper.
+   */
+  request(method, path, params = {}, body) {
+    return this.#request(method, path, params, body);
+  }
+
+  /**
+   * Send a request, retrying rate limited requests, and server errors on
+   * idempotent ones, with backoff.
+   * Resolves to the response when successful, and rejects with an ApiError
+   * subclass otherwise.
+   */
+  async #request(method, path, params, body) {
     const url = new URL(path, this.apiDomain);
     Object.entries(params).forEach(([k, v]) => url.searchParams.append(k, v));
-    return fetch(url, { method, headers: this.#headers(), body });
+
+    for (let attempt = 0; ; attempt++) {
+      const response = await this.#fetch(method, url, body);
+      if (response.ok) return response;
+
+      if (isRetryable(method, response.status) && attempt < MAX_RETRIES) {
+        await response.body?.cancel();
+        await sleep(retryDelay(response, attempt));
+        continue;
+      }
+      const ErrorClass = errorClassFor(response.status);
+      const text = await response.text().catch(() => "");
+      throw new ErrorClass(errorMessage(method, url, response, text), { status: response.status, store: this.store, response, body: text });
+    }
+  }
+
+  async #fetch(method, url, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), requestTimeout);
+    try {
+      return await fetch(url, { method, headers: this.#headers(), body, signal: controller.signal });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new NetworkError(`${method} ${url.pathname} timed out after ${requestTimeout / 1000}s`, { store: this.store });
+      }
+      throw new NetworkError(`Could not reach ${url.origin}: ${error.cause?.message || error.message}`, { store: this.store });
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   #headers() {
@@ -2,8 +2,12 @@ import fs from "fs";
 import os from "os";
 import path from "path";
 
+import { sealVault, openVault, VaultError } from "./vault.js";
+import { findUpwards, loadProject, PROJECT_FILE } from "./project.js";
+
 const CONFIG_DIR = path.join(os.homedir(), ".config", "jumpseller");
 const CREDENTIALS_FILE = path.join(CONFIG_DIR, "credentials");
+const VAULT_FILE = path.join(CONFIG_DIR, "credentials.vault");
 const GLOBAL_CURRENT_FILE = path.join(CONFIG_DIR, "store");
 const LOCAL_CURRENT_FILE = ".jumpseller-store";
 
@@ -53,14 +57,79 @@ function readFileIfExists(file, fallback = "") {
   }
 }
 
+/**
+ * Atomically write a file only readable by the current user
+ */
+function writePrivateFile(file, content) {
+  const tmp = `${file}.tmp.${Math.random().toString(36).slice(2)}`;
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(tmp, content, { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+function restrictPermissions(file) {
+  if ((fs.statSync(file).mode & 0o077) !== 0) fs.chmodSync(file, 0o600);
+}
+
 export function jumpsellerDomain(store) {
   if (store.endsWith(".localhost")) return `http://${store}`;
   return `https://${store}`;
 }
 
 class Auth {
+  #loadEnvironmentStore() {
+    const store = process.env.JUMPSELLER_STORE;
+    if (!store) return false;
+    const [ok, domain] = parseStoreReference(store);
+    if (!ok) console.error("JUMPSELLER_STORE: Invalid store reference %s", store);
+    return ok && domain;
+  }
+
+  #loadEnvironmentCredentials() {
+    const { JUMPSELLER_LOGIN: login, JUMPSELLER_TOKEN: token } = process.env;
+    if (!login && !token) return;
+    const credentials = `${(login || "").trim()}:${(token || "").trim()}`.toLowerCase();
+    if (validCredentials(credentials)) return credentials;
+    console.error("JUMPSELLER_LOGIN/JUMPSELLER_TOKEN: Invalid credentials");
+  }
+
+  #passphrase() {
+    this.vaultPassphrase ??= process.env.JUMPSELLER_PASSPHRASE || this.passphrasePrompt?.();
+    if (!this.vaultPassphrase) {
+      throw new VaultError("Credentials are encrypted. Set JUMPSELLER_PASSPHRASE or run in a terminal to unlock them.");
+    }
+    return this.vaultPassphrase;
+  }
+
   #loadCredentialsFile() {
-    return (this.credentialsText ??= readFileIfExists(CREDENTIALS_FILE).trim());
+    if (this.credentialsText !== undefined) return this.credentialsText;
+
+    const plaintext = readFileIfExists(CREDENTIALS_FILE).trim();
+    if (!this.isEncrypted()) {
+      if (plaintext) restrictPermissions(CREDENTIALS_FILE);
+      return (this.credentialsText = plaintext);
+    }
+
+    this.credentialsText = openVault(fs.readFileSync(VAULT_FILE, "utf-8"), this.#passphrase()).trim();
+    if (plaintext) this.#migratePlaintext(plaintext);
+    return this.credentialsText;
+  }
+
+  /**
+   * Move credentials left in a plaintext file into the vault, keeping the
+   * vault entry when a store appears in both.
+   */
+  #migratePlaintext(plaintext) {
+    const stored = new Set(splitLines(this.credentialsText).map((line) => canonicalLine(line).split(/\s+/)[0]));
+    const lines = splitLines(this.credentialsText);
+    splitLines(plaintext).forEach((line) => {
+      const [domain] = canonicalLine(line).split(/\s+/);
+      if (domain && !stored.has(domain)) lines.push(line);
+    });
+    this.credentialsText = joinLines(lines);
+    this.#writeCredentialsFile();
+    fs.rmSync(CREDENTIALS_FILE, { force: true });
+    console.info("Moved plaintext credentials from %s into the encrypted vault", CREDENTIALS_FILE);
   }
 
   #loadGlobalDefault() {
@@ -68,10 +137,12 @@ class Auth {
   }
 
   #writeCredentialsFile() {
-    const tmp = `${CREDENTIALS_FILE}.tmp.${Math.random().toString(36).slice(2)}`;
-    fs.mkdirSync(CONFIG_DIR, { recursive: true });
-    fs.writeFileSync(tmp, this.credentialsText.trimStart());
-    fs.renameSync(tmp, CREDENTIALS_FILE);
+    const content = this.credentialsText.trimStart();
+    if (this.isEncrypted()) {
+      writePrivateFile(VAULT_FILE, sealVault(content, this.#passphrase()));
+    } else {
+      writePrivateFile(CREDENTIALS_FILE, content);
+    }
   }
 
   #writeGlobalDefault() {
@@ -89,25 +160,43 @@ class Auth {
   }
 
   #findScopeFolder() {
-    const currentDir = process.cwd();
-    const home = os.homedir();
-    let fingerDir = currentDir;
-
-    while (fingerDir.startsWith(home) || fingerDir !== "/") {
-      try {
-        const localFilePath = path.join(fingerDir, LOCAL_CURRENT_FILE);
-        const content = fs.readFileSync(localFilePath, "utf-8");
-        this.scopeDefault = content;
-        return (this.scopeFolder = fingerDir);
-      } catch (err) {
-        if (err.code !== "ENOENT") throw err;
-      }
-      const parentDir = path.dirname(fingerDir);
-      if (parentDir === fingerDir) break;
-      fingerDir = parentDir;
-    }
-    this.scopeDefault = false;
-    return (this.scopeFolder = currentDir);
+    const folder = findUpwards(LOCAL_CURRENT_FILE);
+    this.scopeDefault = folder ? fs.readFileSync(path.join(folder, LOCAL_CURRENT_FILE), "utf-8") : false;
+    return (this.scopeFolder = folder || process.cwd());
+  }
+
+  /**
+   * Are credentials kept in the encrypted vault rather than in plaintext?
+   */
+  isEncrypted() {
+    return fs.existsSync(VAULT_FILE);
+  }
+
+  /**
+   * Provide a function asking for the vault passphrase when it is not set
+   * through JUMPSELLER_PASSPHRASE
+   */
+  setPassphrasePrompt(prompt) {
+    this.passphrasePrompt = prompt;
+  }
+
+  /**
+   * Encrypt stored credentials with a passphrase and remove the plaintext file
+   */
+  lock(passphrase) {
+    this.#loadCredentialsFile();
+    this.vaultPassphrase = passphrase;
+    writePrivateFile(VAULT_FILE, sealVault(this.credentialsText.trimStart(), passphrase));
+    fs.rmSync(CREDENTIALS_FILE, { force: true });
+  }
+
+  /**
+   * Decrypt stored credentials back into a plaintext file and remove the vault
+   */
+  unlock() {
+    this.#loadCredentialsFile();
+    writePrivateFile(CREDENTIALS_FILE, joinLines(splitLines(this.credentialsText)));
+    fs.rmSync(VAULT_FILE, { force: true });
   }
 
   getGlobalDefault() {
@@ -120,8 +209,55 @@ class Auth {
     return this.scopeDefault;
   }
 
+  getEnvironmentStore() {
+    return (this.environmentStore ??= this.#loadEnvironmentStore());
+  }
+
+  /**
+   * Load the project file once. A malformed one only warns here, so commands
+   * other than the theme ones, which report it as an error, keep working.
+   */
+  #loadProjectStore() {
+    let project;
+    try {
+      project = loadProject();
+    } catch (error) {
+      console.error("warning: %s, ignoring it", error.message);
+    }
+    this.projectFolder = project?.folder;
+    const store = project?.config.store;
+    if (!store) return false;
+    const [ok, domain] = parseStoreReference(String(store));
+    if (!ok) console.error("%s: Invalid store reference %s", PROJECT_FILE, store);
+    return ok && domain;
+  }
+
+  /**
+   * Store named in the jumpseller.json of the current project, if any
+   */
+  getProjectStore() {
+    return (this.projectStore ??= this.#loadProjectStore());
+  }
+
+  /**
+   * Default store of the working folder, from whichever of jumpseller.json
+   * and the local default is closest. The local default wins when both are
+   * in the same folder, as a personal override of the project.
+   */
+  getFolderDefault() {
+    const localStore = this.getLocalDefault();
+    const projectStore = this.getProjectStore();
+    if (!localStore || !projectStore) return localStore || projectStore;
+    return this.projectFolder.length > this.scopeFolder.length ? projectStore : localStore;
+  }
+
+  /**
+   * Resolve the store for the current command, in order of precedence:
+   * --store option, JUMPSELLER_STORE, closest project file or local default,
+   * global default.
+   */
   currentStore() {
-    return this.commandStore || this.getLocalDefault() || this.getGlobalDefault();
+    return this.commandStore || this.getEnvironmentStore() || this.getFolderDefault() || this.getGlobalDefault();
   }
 
   /**
@@ -182,8 +318,14 @@ class Auth {
 
   /**
    * Are there (valid) credentials for this domain?
+   * JUMPSELLER_LOGIN and JUMPSELLER_TOKEN take precedence over the credentials
+   * file for the store named by JUMPSELLER_STORE, and only for that store.
    */
   getCredentials(domain) {
+    if (domain && domain === this.getEnvironmentStore()) {
+      const credentials = this.#loadEnvironmentCredentials();
+      if (credentials) return { credentials, source: "environment" };
+    }
     const storage = this.listCredentials();
     return storage.get(domain);
   }
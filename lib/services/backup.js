@@ -0,0 +1,74 @@
+import fs from "fs";
+import path from "path";
+
+const MANIFEST_EXTENSION = ".json";
+
+function timestamp(time) {
+  return new Date(time).toISOString().replaceAll(":", "-");
+}
+
+/**
+ * Backups are stored as <dir>/<store>/theme-<id>-<timestamp>.zip, each with a
+ * manifest of the theme metadata next to it under the same name with a .json
+ * extension. Timestamps have millisecond precision, and move forward past
+ * any backup already taken at the same time, so names stay sorted by age.
+ */
+export function backupPaths(dir, store, themeId, date = new Date()) {
+  let archive;
+  for (let time = date.getTime(); !archive || fs.existsSync(archive); time++) {
+    archive = path.join(dir, store, `theme-${themeId}-${timestamp(time)}.zip`);
+  }
+  return { archive, manifest: manifestPath(archive) };
+}
+
+export function manifestPath(archive) {
+  return archive.replace(/\.zip$/, MANIFEST_EXTENSION);
+}
+
+export function writeManifest(file, store, theme) {
+  const manifest = {
+    store,
+    id: theme.id,
+    name: theme.name,
+    version: theme.version ?? null,
+    parent: theme.parent ?? null,
+    in_use: !!theme.in_use,
+    created_at: new Date().toISOString(),
+  };
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return manifest;
+}
+
+/**
+ * Read the manifest next to a backup archive, if any.
+ */
+export function readManifest(archive) {
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath(archive), "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return;
+    throw err;
+  }
+}
+
+/**
+ * Delete all but the newest keep backups of a theme, returning the archives
+ * that were removed.
+ */
+export function pruneBackups(dir, store, themeId, keep) {
+  const folder = path.join(dir, store);
+  const prefix = `theme-${themeId}-`;
+  const archives = fs
+    .readdirSync(folder)
+    .filter((file) => file.startsWith(prefix) && file.endsWith(".zip"))
+    .sort()
+    .reverse()
+    .map((file) => path.join(folder, file));
+
+  const pruned = archives.slice(keep);
+  pruned.forEach((archive) => {
+    fs.rmSync(archive, { force: true });
+    fs.rmSync(manifestPath(archive), { force: true });
+  });
+  return pruned;
+}
@@ -0,0 +1,124 @@
+import fs from "fs";
+import path from "path";
+
+import { recurseFolder } from "./sync.js";
+import { ThemeIgnore } from "./ignore.js";
+
+export const THEME_FOLDERS = ["partials", "components", "templates", "assets", "config"];
+export const MAX_ASSET_SIZE = 5 * 1024 * 1024;
+
+const BLOCK_TAGS = ["if", "unless", "for", "case", "capture", "comment", "raw", "tablerow", "form", "paginate", "schema", "javascript", "stylesheet", "style"];
+const VERBATIM_TAGS = ["comment", "raw", "schema", "javascript", "stylesheet", "style"];
+const TAG_PATTERN = /\{%-?\s*(\w+)([\s\S]*?)-?%\}/g;
+const PARTIAL_PATTERN = /^\s*["']([^"']+)["']/;
+
+function lineAt(text, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) if (text.charCodeAt(i) === 10) line++;
+  return line;
+}
+
+/**
+ * Find the position of a JSON syntax error from the parser message, which
+ * reports either a line and column or an absolute position.
+ */
+function jsonErrorLine(text, error) {
+  const lineColumn = /line (\d+) column (\d+)/.exec(error.message);
+  if (lineColumn) return +lineColumn[1];
+  const position = /position (\d+)/.exec(error.message);
+  return position ? lineAt(text, +position[1]) : 1;
+}
+
+function checkJson(relativePath, text, report) {
+  try {
+    JSON.parse(text);
+  } catch (error) {
+    const message = error.message.replace(/^JSON\.parse: /, "").replace(/ in JSON at position.*$/, "");
+    report("error", relativePath, jsonErrorLine(text, error), `Invalid JSON: ${message}`);
+  }
+}
+
+function partialExists(folder, name) {
+  const candidates = [name, `${name}.liquid`].map((file) => path.join(folder, "partials", file));
+  return candidates.some((candidate) => fs.existsSync(candidate));
+}
+
+/**
+ * Check that Liquid block tags are balanced and that included partials exist.
+ */
+function checkLiquid(folder, relativePath, text, report) {
+  const stack = [];
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const [, tag, markup] = match;
+    const line = () => lineAt(text, match.index);
+    const open = stack[stack.length - 1];
+
+    if (open && VERBATIM_TAGS.includes(open.tag)) {
+      if (tag === `end${open.tag}`) stack.pop();
+      continue;
+    }
+
+    if (BLOCK_TAGS.includes(tag)) {
+      stack.push({ tag, line: line() });
+    } else if (tag.startsWith("end") && BLOCK_TAGS.includes(tag.slice(3))) {
+      if (!open) {
+        report("error", relativePath, line(), `Unexpected {% ${tag} %} without an opening {% ${tag.slice(3)} %}`);
+      } else if (open.tag !== tag.slice(3)) {
+        report("error", relativePath, line(), `Unexpected {% ${tag} %}, expected {% end${open.tag} %} for line ${open.line}`);
+        stack.pop();
+      } else {
+        stack.pop();
+      }
+    } else if (tag === "include" || tag === "render") {
+      const name = PARTIAL_PATTERN.exec(markup)?.[1];
+      if (name && !partialExists(folder, name)) {
+        report("error", relativePath, line(), `Missing partial "${name}"`);
+      }
+    }
+  }
+  stack.forEach(({ tag, line }) => report("error", relativePath, line, `Unclosed {% ${tag} %}`));
+}
+
+/**
+ * Validate a local theme folder, returning a list of diagnostics with
+ * severity "error" or "warning". Only the theme folders are walked, leaving
+ * out files excluded by .jumpsellerignore.
+ */
+export function checkTheme(folder, { maxAssetSize = MAX_ASSET_SIZE, ignore = ThemeIgnore.load(folder) } = {}) {
+  const diagnostics = [];
+  const report = (severity, file, line, message) => diagnostics.push({ severity, file, line, message });
+
+  for (const name of THEME_FOLDERS) {
+    const stat = fs.statSync(path.join(folder, name), { throwIfNoEntry: false });
+    if (!stat?.isDirectory()) report(name === "templates" ? "error" : "warning", `${name}/`, 0, "Missing theme folder");
+  }
+
+  const skip = (relativePath, isDirectory) => {
+    return !THEME_FOLDERS.includes(relativePath.split(path.sep)[0]) || ignore.ignores(relativePath, isDirectory);
+  };
+  recurseFolder("", folder, (relativePath, fsPath) => {
+    const [root] = relativePath.split(path.sep);
+
+    if (root === "assets") {
+      const size = fs.statSync(fsPath).size;
+      if (size > maxAssetSize) {
+        report("error", relativePath, 0, `Asset is ${(size / 1048576).toFixed(1)}MB, above the ${(maxAssetSize / 1048576).toFixed(1)}MB limit`);
+      }
+      return;
+    }
+
+    const isComponentJson = root === "components" && relativePath.endsWith(".json");
+    const isConfigJson = root === "config" && relativePath.endsWith(".json");
+    if (isComponentJson || isConfigJson) {
+      checkJson(relativePath, fs.readFileSync(fsPath, "utf-8"), report);
+    } else if (relativePath.endsWith(".liquid")) {
+      checkLiquid(folder, relativePath, fs.readFileSync(fsPath, "utf-8"), report);
+    }
+  }, skip);
+
+  return diagnostics.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+}
+
+export function formatDiagnostic({ severity, file, line, message }) {
+  return `${line ? `${file}:${line}` : file}: ${severity}: ${message}`;
+}
@@ -0,0 +1,50 @@
+export function escapeCsv(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Render records as CSV with a header line of the given keys.
+ */
+export function formatCsv(keys, records) {
+  const lines = [keys].concat(records.map((record) => keys.map((key) => record[key])));
+  return lines.map((line) => line.map(escapeCsv).join(",")).join("\n") + "\n";
+}
+
+/**
+ * Parse CSV text with a header line into records keyed by the header, along
+ * with the header itself. Quoted fields may contain commas, quotes and line
+ * breaks.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+
+  text = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') field += text[i++];
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length > 0) rows.push(row.concat(field));
+
+  const [header = [], ...lines] = rows.filter((line) => line.some(Boolean));
+  const keys = header.map((key) => key.trim());
+  return { header: keys, records: lines.map((line) => Object.fromEntries(keys.map((key, i) => [key, line[i] ?? ""]))) };
+}
@@ -1,7 +1,20 @@
 import fs from "fs";
 import path from "path";
 import crypto from "crypto";
-import { execSync } from "child_process";
+import { execSync, execFileSync } from "child_process";
+
+// Files git keeps in its directory while an operation is in progress
+const OPERATION_MARKERS = {
+  "rebase-merge": "rebase",
+  "rebase-apply": "rebase",
+  MERGE_HEAD: "merge",
+  CHERRY_PICK_HEAD: "cherry-pick",
+  REVERT_HEAD: "revert",
+  "index.lock": "index update",
+};
+
+// Files git rewrites when HEAD, the branch, the stash or the index change
+const STATE_FILES = ["HEAD", "index", "logs/HEAD", "refs/stash", "logs/refs/stash"];
 
 export class GitObserver {
   constructor(folder = ".") {
@@ -9,15 +22,32 @@ export class GitObserver {
   }
 
   #file(file) {
-    return path.join(this.folder, file);
+    this.gitDir ??= this.#exec("git rev-parse --absolute-git-dir").toString().trim();
+    return path.join(this.gitDir, file);
   }
 
   #exec(command) {
-    return execSync(command, { cwd: this.folder });
+    return execSync(command, { cwd: this.folder, stdio: "pipe" });
   }
 
   isIndexLocked() {
-    return fs.existsSync(this.#file(".git/index.lock"));
+    return fs.existsSync(this.#file("index.lock"));
+  }
+
+  /**
+   * Name of the git operation in progress in the repository, if any.
+   */
+  readOperation() {
+    const marker = Object.keys(OPERATION_MARKERS).find((marker) => fs.existsSync(this.#file(marker)));
+    return marker && OPERATION_MARKERS[marker];
+  }
+
+  readHead() {
+    try {
+      return this.#exec("git rev-parse --verify --quiet HEAD").toString().trim();
+    } catch {
+      return "";
+    }
   }
 
   readBranch() {
@@ -29,13 +59,50 @@ export class GitObserver {
     return crypto.createHash("sha1").update(state, "utf8").digest("hex");
   }
 
+  /**
+   * Fingerprint of the repository from the modification times of the files
+   * git rewrites, cheap enough to poll without running git itself.
+   */
+  #readStamp() {
+    return STATE_FILES.map((file) => fs.statSync(this.#file(file), { throwIfNoEntry: false })?.mtimeMs ?? 0).join(":");
+  }
+
   pin() {
+    this.stamp = this.#readStamp();
+    this.head = this.readHead();
     this.branch = this.readBranch();
     this.stash = this.readStash();
   }
 
+  /**
+   * Has an operation started, or have HEAD, the branch or the stash moved
+   * since the observer was pinned? Git only runs once the files it rewrites
+   * have changed.
+   */
   check() {
-    return this.isIndexLocked() || this.branch !== this.readBranch() || this.stash !== this.readStash();
+    if (this.readOperation()) return true;
+    const stamp = this.#readStamp();
+    if (stamp === this.stamp) return false;
+    this.stamp = stamp;
+    return this.head !== this.readHead() || this.branch !== this.readBranch() || this.stash !== this.readStash();
+  }
+
+  /**
+   * Files that differ between two commits, relative to the repository root.
+   */
+  changedFiles(from, to) {
+    if (!from || !to) return [];
+    const output = execFileSync("git", ["diff", "--name-only", "--no-renames", "-z", from, to], { cwd: this.folder, stdio: "pipe" });
+    return output.toString().split("\0").filter(Boolean);
+  }
+
+  /**
+   * Write a zip archive of a folder of the repository as of the given ref,
+   * with paths relative to that folder.
+   */
+  static archive(gitRoot, ref, folder, outputPath) {
+    const treeish = folder && folder !== "." ? `${ref}:${folder.split(path.sep).join("/")}` : ref;
+    execFileSync("git", ["archive", "--format=zip", `--output=${outputPath}`, treeish], { cwd: gitRoot, stdio: "pipe" });
   }
 
   static findGitRoot(dir) {
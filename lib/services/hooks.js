@@ -0,0 +1,146 @@
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import path from "path";
+
+import { getRequestTimeout } from "./api.js";
+
+export const HOOK_EVENTS = [
+  "order_created",
+  "order_updated",
+  "order_paid",
+  "order_pending_payment",
+  "order_shipped",
+  "order_canceled",
+  "order_abandoned",
+  "product_created",
+  "product_updated",
+  "product_deleted",
+  "customer_created",
+  "customer_updated",
+  "customer_deleted",
+];
+
+export const EVENT_HEADER = "jumpseller-event";
+export const SIGNATURE_HEADER = "jumpseller-hmac-sha256";
+
+/**
+ * Base64 HMAC-SHA256 of a raw request body, keyed with the store hooks token.
+ */
+export function signPayload(body, secret) {
+  return crypto.createHmac("sha256", secret).update(body).digest("base64");
+}
+
+export function verifySignature(body, signature, secret) {
+  const expected = Buffer.from(signPayload(body, secret));
+  const actual = Buffer.from(signature || "");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on("data", (chunk) => chunks.push(chunk));
+    request.on("end", () => resolve(Buffer.concat(chunks)));
+    request.on("error", reject);
+  });
+}
+
+function prettyBody(body) {
+  try {
+    return JSON.stringify(JSON.parse(body), null, 2);
+  } catch {
+    return body;
+  }
+}
+
+/**
+ * A local endpoint for store webhooks, printing every event it receives,
+ * optionally checking its signature and saving it to a folder for replay.
+ */
+export class HookReceiver {
+  constructor({ secret, folder } = {}) {
+    this.secret = secret;
+    this.folder = folder;
+  }
+
+  /**
+   * Save an event under its time of arrival, numbered when another one
+   * arrived in the same millisecond so neither is overwritten.
+   */
+  #save(event) {
+    fs.mkdirSync(this.folder, { recursive: true });
+    const name = `${event.received_at.replaceAll(":", "-")}-${event.event.replace(/[^\w-]/g, "_")}`;
+    let file = path.join(this.folder, `${name}.json`);
+    for (let n = 1; fs.existsSync(file); n++) file = path.join(this.folder, `${name}-${n}.json`);
+    fs.writeFileSync(file, JSON.stringify(event, null, 2) + "\n", { flag: "wx" });
+    return file;
+  }
+
+  async #handle(request, response) {
+    if (request.method !== "POST") {
+      response.writeHead(405, { Allow: "POST" });
+      return response.end();
+    }
+
+    const body = (await readBody(request)).toString("utf-8");
+    const event = {
+      event: request.headers[EVENT_HEADER] || "unknown",
+      path: request.url,
+      received_at: new Date().toISOString(),
+      headers: request.headers,
+      body,
+    };
+
+    let verdict = "not verified";
+    if (this.secret) verdict = verifySignature(body, request.headers[SIGNATURE_HEADER], this.secret) ? "valid signature" : "INVALID SIGNATURE";
+    const valid = verdict !== "INVALID SIGNATURE";
+
+    console.info("=== %s %s %s (%s)", event.received_at, event.event, event.path, verdict);
+    console.info(prettyBody(body));
+    if (this.folder) console.info("=== Saved to %s", this.#save(event));
+
+    response.writeHead(valid ? 200 : 401, { "Content-Type": "application/json" });
+    response.end(JSON.stringify({ ok: valid }));
+  }
+
+  /**
+   * Report a request that could not be handled, such as one aborted by the
+   * client or an event that could not be saved, and keep listening.
+   */
+  #fail(request, response, error) {
+    console.error("=== Failed to handle %s %s: %s", request.method, request.url, error.message);
+    if (response.headersSent) return response.destroy();
+    response.writeHead(500, { "Content-Type": "application/json" });
+    response.end(JSON.stringify({ ok: false }));
+  }
+
+  listen(port, host) {
+    this.server = http.createServer((request, response) => {
+      this.#handle(request, response).catch((error) => this.#fail(request, response, error));
+    });
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => resolve(this.server.address()));
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => this.server.close(resolve));
+  }
+}
+
+/**
+ * Send a saved event to a URL again, with its original event header and
+ * signature, or signed anew when a secret is given. Gives up after the same
+ * timeout as API requests.
+ */
+export async function replayEvent(file, url, { secret } = {}) {
+  const event = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const headers = { "Content-Type": "application/json", [EVENT_HEADER]: event.event };
+  const signature = secret ? signPayload(event.body, secret) : event.headers?.[SIGNATURE_HEADER];
+  if (signature) headers[SIGNATURE_HEADER] = signature;
+
+  const response = await fetch(url, { method: "POST", headers, body: event.body, signal: AbortSignal.timeout(getRequestTimeout()) });
+  return { event, response };
+}
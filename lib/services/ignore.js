@@ -0,0 +1,88 @@
+import fs from "fs";
+import path from "path";
+import micromatch from "micromatch";
+
+import { loadProject, PROJECT_FILE } from "./project.js";
+
+export const IGNORE_FILE = ".jumpsellerignore";
+
+// Applied before the rules in the ignore file, which can negate them
+const DEFAULT_RULES = [
+  ".git/",
+  "node_modules/",
+  ".DS_Store",
+  "Thumbs.db",
+  "*.swp",
+  "*.swo",
+  "*~",
+  ".jumpseller-*",
+  IGNORE_FILE,
+  `/${PROJECT_FILE}`,
+];
+
+function parseRule(line) {
+  line = line.replace(/(?<!\\)\s+$/, "");
+  if (!line || line.startsWith("#")) return;
+
+  const negate = line.startsWith("!");
+  if (negate) line = line.slice(1);
+  line = line.replace(/^\\([#!])/, "$1");
+
+  const directoryOnly = line.endsWith("/");
+  if (directoryOnly) line = line.slice(0, -1);
+
+  // Patterns with a slash other than a trailing one are relative to the root
+  const anchored = line.includes("/");
+  if (line.startsWith("/")) line = line.slice(1);
+  if (!line) return;
+
+  const pattern = anchored ? line : `**/${line}`;
+  return { negate, directoryOnly, pattern };
+}
+
+/**
+ * Gitignore-style rules from a .jumpsellerignore file at the theme root,
+ * supporting negation, directory-only and anchored patterns.
+ */
+export class ThemeIgnore {
+  constructor(rules) {
+    this.rules = rules.map(parseRule).filter(Boolean);
+  }
+
+  /**
+   * Rules for a theme folder: the defaults, then the ignore patterns of the
+   * project file when the folder is its source folder, then the ignore file.
+   */
+  static load(folder) {
+    let content = "";
+    try {
+      content = fs.readFileSync(path.join(folder, IGNORE_FILE), "utf-8");
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    const project = loadProject(folder);
+    const projectRules = project && path.resolve(project.sourceFolder) === path.resolve(folder) ? project.config.ignore || [] : [];
+    return new ThemeIgnore(DEFAULT_RULES.concat(projectRules, content.split(/\r?\n/)));
+  }
+
+  #matches(relativePath, isDirectory) {
+    let ignored = false;
+    for (const { negate, directoryOnly, pattern } of this.rules) {
+      if (directoryOnly && !isDirectory) continue;
+      if (micromatch.isMatch(relativePath, pattern, { dot: true })) ignored = !negate;
+    }
+    return ignored;
+  }
+
+  /**
+   * Is the path, relative to the theme root, excluded? As with git, files
+   * inside an excluded directory cannot be re-included.
+   */
+  ignores(relativePath, isDirectory = false) {
+    const segments = relativePath.split(/[\\/]/);
+    for (let i = 1; i < segments.length; i++) {
+      if (this.#matches(segments.slice(0, i).join("/"), true)) return true;
+    }
+    return this.#matches(segments.join("/"), isDirectory);
+  }
+}
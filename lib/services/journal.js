@@ -0,0 +1,88 @@
+import fs from "fs";
+import path from "path";
+
+export const JOURNAL_FILE = ".jumpseller-journal";
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 60000;
+
+/**
+ * On-disk record of watcher operations that failed to reach the installed
+ * theme, kept in the theme folder so they survive a restart.
+ *
+ * Only the latest action is kept per path, and content is not stored: a
+ * retried write always sends the file as it is on disk at that moment.
+ * Each store and theme gets its own journal file.
+ */
+export class RetryJournal {
+  constructor(folder, store, theme) {
+    this.file = path.join(folder, `${JOURNAL_FILE}-${store}-${theme}`);
+    this.store = store;
+    this.theme = theme;
+    this.failures = 0;
+    this.operations = this.#load();
+  }
+
+  get size() {
+    return this.operations.size;
+  }
+
+  #load() {
+    try {
+      const journal = JSON.parse(fs.readFileSync(this.file, "utf-8"));
+      if (journal.store !== this.store || journal.theme !== this.theme) return new Map();
+      return new Map(journal.operations.map((operation) => [operation.path, operation]));
+    } catch (err) {
+      if (err.code === "ENOENT") return new Map();
+      console.error("Ignoring unreadable retry journal %s: %s", this.file, err.message);
+      return new Map();
+    }
+  }
+
+  #write() {
+    if (this.operations.size === 0) return fs.rmSync(this.file, { force: true });
+
+    const journal = { store: this.store, theme: this.theme, operations: [...this.operations.values()] };
+    const tmp = `${this.file}.tmp.${Math.random().toString(36).slice(2)}`;
+    fs.writeFileSync(tmp, JSON.stringify(journal, null, 2) + "\n");
+    fs.renameSync(tmp, this.file);
+  }
+
+  /**
+   * Record failed operations and flush the journal to disk.
+   */
+  fail(paths, action, error) {
+    const failedAt = new Date().toISOString();
+    paths.forEach((relativePath) => {
+      const attempts = (this.operations.get(relativePath)?.attempts || 0) + 1;
+      this.operations.delete(relativePath);
+      this.operations.set(relativePath, { path: relativePath, action, attempts, error, failedAt });
+    });
+    this.failures++;
+    this.#write();
+  }
+
+  /**
+   * Forget operations that have since succeeded and flush the journal to disk.
+   */
+  succeed(paths) {
+    this.failures = 0;
+    if (!paths.some((relativePath) => this.operations.has(relativePath))) return;
+    paths.forEach((relativePath) => this.operations.delete(relativePath));
+    this.#write();
+  }
+
+  /**
+   * Drop every pending operation.
+   */
+  clear() {
+    this.operations.clear();
+    this.#write();
+  }
+
+  /**
+   * Exponential backoff delay for the next retry, based on consecutive failures.
+   */
+  retryDelay() {
+    return Math.min(RETRY_BASE_DELAY * 2 ** Math.max(this.failures - 1, 0), RETRY_MAX_DELAY);
+  }
+}
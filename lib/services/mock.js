@@ -0,0 +1,416 @@
+import fs from "fs";
+import http from "http";
+import path from "path";
+import archiver from "archiver";
+import unzipper from "unzipper";
+
+import { recurseFolder } from "./sync.js";
+
+const THEMES_FILE = "themes.json";
+const PRODUCTS_FILE = "products.json";
+const ORDERS_FILE = "orders.json";
+const HOOKS_FILE = "hooks.json";
+const UPLOADS_FOLDER = "uploads";
+
+class MockError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on("data", (chunk) => chunks.push(chunk));
+    request.on("end", () => resolve(Buffer.concat(chunks)));
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Minimal multipart/form-data parser, enough for the presigned upload form
+ * sent by the CLI. Returns a map of field name to { filename, content }.
+ */
+function parseMultipart(contentType, body) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || "");
+  if (!boundary) throw new MockError(400, "Expected a multipart/form-data body");
+
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  const fields = new Map();
+  let start = body.indexOf(delimiter);
+
+  while (start !== -1) {
+    const from = start + delimiter.length;
+    const end = body.indexOf(delimiter, from);
+    if (end === -1) break;
+
+    const part = body.subarray(from + 2, end - 2); // skip CRLF around the part
+    const headerEnd = part.indexOf("\r\n\r\n");
+    const headers = part.subarray(0, headerEnd).toString("utf-8");
+    const name = /name="([^"]*)"/.exec(headers)?.[1];
+    const filename = /filename="([^"]*)"/.exec(headers)?.[1];
+    if (name) fields.set(name, { filename, content: part.subarray(headerEnd + 4) });
+    start = end;
+  }
+  return fields;
+}
+
+/**
+ * Turn a route such as "GET /v1/products/:id.json" into a pattern matching
+ * "<method> <path>" with named groups for the parameters.
+ */
+function routePattern(route) {
+  const source = route.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/:(\w+)/g, "(?<$1>[^/]+?)");
+  return new RegExp(`^${source}$`);
+}
+
+function paginate(records, url) {
+  const limit = +url.searchParams.get("limit") || 50;
+  const page = +url.searchParams.get("page") || 1;
+  return records.slice((page - 1) * limit, page * limit);
+}
+
+function safeJoin(folder, relativePath) {
+  const fullpath = path.resolve(folder, relativePath);
+  if (!fullpath.startsWith(path.resolve(folder) + path.sep)) {
+    throw new MockError(400, `Invalid path ${relativePath}`);
+  }
+  return fullpath;
+}
+
+/**
+ * A stand-in for the Jumpseller API serving the endpoints used by the CLI,
+ * with themes stored as plain folders and other records as JSON files under
+ * a local directory.
+ */
+export class MockApiServer {
+  constructor(folder, { store = "test.localhost", account = "mock@localhost" } = {}) {
+    this.folder = folder;
+    this.store = store;
+    this.account = account;
+    this.routes = {
+      "GET /v1/whoami": this.#whoami,
+      "GET /v1/themes/list": this.#list,
+      "PUT /v1/themes/apply": this.#apply,
+      "PUT /v1/themes/update_fields": this.#updateFields,
+      "DELETE /v1/themes": this.#delete,
+      "PUT /v1/themes/schema": this.#writeSchema,
+      "DELETE /v1/themes/schema": this.#deleteSchema,
+      "POST /v1/themes/export": this.#export,
+      "GET /v1/themes/presigned_for_import": this.#presignedForImport,
+      "POST /v1/themes/presigned_import": this.#presignedImport,
+      "POST /upload": this.#upload,
+      "GET /v1/products.json": this.#listProducts,
+      "GET /v1/products/count.json": this.#countProducts,
+      "GET /v1/products/:id.json": this.#showProduct,
+      "POST /v1/products.json": this.#createProduct,
+      "PUT /v1/products/:id.json": this.#updateProduct,
+      "DELETE /v1/products/:id.json": this.#deleteProduct,
+      "GET /v1/orders.json": this.#listOrders,
+      "GET /v1/orders/status/:status.json": this.#listOrders,
+      "GET /v1/orders/:id.json": this.#showOrder,
+      "PUT /v1/orders/:id.json": this.#updateOrder,
+      "GET /v1/hooks.json": this.#listHooks,
+      "POST /v1/hooks.json": this.#createHook,
+      "DELETE /v1/hooks/:id.json": this.#deleteHook,
+    };
+  }
+
+  #route(method, pathname) {
+    for (const [route, handler] of Object.entries(this.routes)) {
+      const match = routePattern(route).exec(`${method} ${pathname}`);
+      if (match) return [handler, { ...match.groups }];
+    }
+    return [];
+  }
+
+  #readRecords(file) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.folder, file), "utf-8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  }
+
+  #writeRecords(file, records) {
+    fs.mkdirSync(this.folder, { recursive: true });
+    fs.writeFileSync(path.join(this.folder, file), JSON.stringify(records, null, 2) + "\n");
+  }
+
+  #readThemes() {
+    return this.#readRecords(THEMES_FILE);
+  }
+
+  #writeThemes(themes) {
+    this.#writeRecords(THEMES_FILE, themes);
+  }
+
+  #findTheme(themes, url) {
+    const id = +url.searchParams.get("theme");
+    const theme = themes.find((theme) => theme.id === id);
+    if (!theme) throw new MockError(404, `Theme ${url.searchParams.get("theme")} not found`);
+    return theme;
+  }
+
+  #themeFolder(theme) {
+    return path.join(this.folder, String(theme.id));
+  }
+
+  #touch(themes, theme) {
+    theme.updated_at = Math.floor(Date.now() / 1000);
+    this.#writeThemes(themes);
+  }
+
+  #whoami() {
+    return { store: this.store, account: this.account };
+  }
+
+  #list() {
+    return this.#readThemes();
+  }
+
+  #apply(url) {
+    const themes = this.#readThemes();
+    const theme = this.#findTheme(themes, url);
+    themes.forEach((other) => (other.in_use = other === theme));
+    this.#touch(themes, theme);
+    return theme;
+  }
+
+  #updateFields(url) {
+    const themes = this.#readThemes();
+    const theme = this.#findTheme(themes, url);
+    if (url.searchParams.has("name")) theme.name = url.searchParams.get("name");
+    this.#touch(themes, theme);
+    return theme;
+  }
+
+  #delete(url) {
+    const themes = this.#readThemes();
+    const theme = this.#findTheme(themes, url);
+    fs.rmSync(this.#themeFolder(theme), { recursive: true, force: true });
+    this.#writeThemes(themes.filter((other) => other !== theme));
+    return {};
+  }
+
+  #writeSchema(url, body) {
+    const themes = this.#readThemes();
+    const theme = this.#findTheme(themes, url);
+    const { paths = [], contents = [] } = JSON.parse(body.toString("utf-8") || "{}");
+    paths.forEach((relativePath, i) => {
+      const fullpath = safeJoin(this.#themeFolder(theme), relativePath);
+      fs.mkdirSync(path.dirname(fullpath), { recursive: true });
+      fs.writeFileSync(fullpath, contents[i] ?? "");
+    });
+    this.#touch(themes, theme);
+    return {};
+  }
+
+  #deleteSchema(url) {
+    const themes = this.#readThemes();
+    const theme = this.#findTheme(themes, url);
+    const paths = url.searchParams.getAll("paths").flatMap((value) => value.split(","));
+    paths.forEach((relativePath) => fs.rmSync(safeJoin(this.#themeFolder(theme), relativePath), { force: true }));
+    this.#touch(themes, theme);
+    return {};
+  }
+
+  #export(url, _body, request, response) {
+    const theme = this.#findTheme(this.#readThemes(), url);
+    const archive = archiver("zip");
+    response.writeHead(200, { "Content-Type": "application/zip" });
+    archive.pipe(response);
+    if (fs.existsSync(this.#themeFolder(theme))) {
+      recurseFolder("", this.#themeFolder(theme), (zipPath, fsPath) => archive.file(fsPath, { name: zipPath }));
+    }
+    archive.finalize();
+  }
+
+  #presignedForImport(_url, _body, request) {
+    return { url: `http://${request.headers.host}/upload`, fields: { key: `${UPLOADS_FOLDER}/` } };
+  }
+
+  #upload(_url, body, request) {
+    const fields = parseMultipart(request.headers["content-type"], body);
+    const file = fields.get("file");
+    if (!file?.filename) throw new MockError(400, "Missing file");
+
+    const fullpath = safeJoin(path.join(this.folder, UPLOADS_FOLDER), path.basename(file.filename));
+    fs.mkdirSync(path.dirname(fullpath), { recursive: true });
+    fs.writeFileSync(fullpath, file.content);
+    return {};
+  }
+
+  /**
+   * Import an uploaded archive as a new theme, or with a theme parameter,
+   * into that theme, replacing only the files in the archive.
+   */
+  async #presignedImport(url, body) {
+    const { filename } = JSON.parse(body.toString("utf-8") || "{}");
+    const upload = safeJoin(path.join(this.folder, UPLOADS_FOLDER), path.basename(filename || ""));
+    if (!fs.existsSync(upload)) throw new MockError(404, `Upload ${filename} not found`);
+
+    const themes = this.#readThemes();
+    const now = Math.floor(Date.now() / 1000);
+    const id = Math.max(0, ...themes.map((theme) => theme.id)) + 1;
+    const existing = url.searchParams.has("theme") && this.#findTheme(themes, url);
+    const theme = existing || { id, name: `Imported theme ${id}`, in_use: themes.length === 0, created_at: now, updated_at: now };
+
+    const directory = await unzipper.Open.file(upload);
+    for (const entry of directory.files) {
+      if (entry.type !== "File") continue;
+      const fullpath = safeJoin(this.#themeFolder(theme), entry.path);
+      fs.mkdirSync(path.dirname(fullpath), { recursive: true });
+      fs.writeFileSync(fullpath, await entry.buffer());
+    }
+    fs.rmSync(upload);
+
+    if (!existing) themes.push(theme);
+    this.#touch(themes, theme);
+    return theme;
+  }
+
+  #findProduct(products, params) {
+    const product = products.find((product) => product.id === +params.id);
+    if (!product) throw new MockError(404, `Product ${params.id} not found`);
+    return product;
+  }
+
+  #productFields(body) {
+    const { product } = JSON.parse(body.toString("utf-8") || "{}");
+    if (!product || typeof product !== "object") throw new MockError(422, "Expected a product object");
+    const fields = { ...product };
+    delete fields.id;
+    delete fields.created_at;
+    return fields;
+  }
+
+  #listProducts(url) {
+    return paginate(this.#readRecords(PRODUCTS_FILE), url).map((product) => ({ product }));
+  }
+
+  #countProducts() {
+    return { count: this.#readRecords(PRODUCTS_FILE).length };
+  }
+
+  #showProduct(_url, _body, _request, _response, params) {
+    return { product: this.#findProduct(this.#readRecords(PRODUCTS_FILE), params) };
+  }
+
+  #createProduct(_url, body) {
+    const fields = this.#productFields(body);
+    if (!fields.name) throw new MockError(422, "Name can't be blank");
+
+    const products = this.#readRecords(PRODUCTS_FILE);
+    const now = new Date().toISOString();
+    const id = Math.max(0, ...products.map((product) => product.id)) + 1;
+    const product = { id, status: "available", price: 0, stock: 0, ...fields, created_at: now, updated_at: now };
+    products.push(product);
+    this.#writeRecords(PRODUCTS_FILE, products);
+    return { product };
+  }
+
+  #updateProduct(_url, body, _request, _response, params) {
+    const products = this.#readRecords(PRODUCTS_FILE);
+    const product = this.#findProduct(products, params);
+    Object.assign(product, this.#productFields(body), { updated_at: new Date().toISOString() });
+    this.#writeRecords(PRODUCTS_FILE, products);
+    return { product };
+  }
+
+  #deleteProduct(_url, _body, _request, _response, params) {
+    const products = this.#readRecords(PRODUCTS_FILE);
+    const product = this.#findProduct(products, params);
+    this.#writeRecords(PRODUCTS_FILE, products.filter((other) => other !== product));
+    return {};
+  }
+
+  #findOrder(orders, params) {
+    const order = orders.find((order) => order.id === +params.id);
+    if (!order) throw new MockError(404, `Order ${params.id} not found`);
+    return order;
+  }
+
+  #listOrders(url, _body, _request, _response, params) {
+    const status = params.status && decodeURIComponent(params.status);
+    const orders = this.#readRecords(ORDERS_FILE).filter((order) => !status || order.status === status);
+    return paginate(orders.sort((a, b) => b.id - a.id), url).map((order) => ({ order }));
+  }
+
+  #showOrder(_url, _body, _request, _response, params) {
+    return { order: this.#findOrder(this.#readRecords(ORDERS_FILE), params) };
+  }
+
+  #updateOrder(_url, body, _request, _response, params) {
+    const orders = this.#readRecords(ORDERS_FILE);
+    const order = this.#findOrder(orders, params);
+    const { order: fields = {} } = JSON.parse(body.toString("utf-8") || "{}");
+    if (fields.status) order.status = fields.status;
+    if (fields.shipment_status) order.shipment_status = fields.shipment_status;
+    this.#writeRecords(ORDERS_FILE, orders);
+    return { order };
+  }
+
+  #listHooks() {
+    return this.#readRecords(HOOKS_FILE).map((hook) => ({ hook }));
+  }
+
+  #createHook(_url, body) {
+    const { hook: fields = {} } = JSON.parse(body.toString("utf-8") || "{}");
+    if (!fields.event || !fields.url) throw new MockError(422, "Event and url are required");
+
+    const hooks = this.#readRecords(HOOKS_FILE);
+    const id = Math.max(0, ...hooks.map((hook) => hook.id)) + 1;
+    const hook = { id, event: fields.event, url: fields.url, created_at: new Date().toISOString() };
+    hooks.push(hook);
+    this.#writeRecords(HOOKS_FILE, hooks);
+    return { hook };
+  }
+
+  #deleteHook(_url, _body, _request, _response, params) {
+    const hooks = this.#readRecords(HOOKS_FILE);
+    if (!hooks.some((hook) => hook.id === +params.id)) throw new MockError(404, `Hook ${params.id} not found`);
+    this.#writeRecords(HOOKS_FILE, hooks.filter((hook) => hook.id !== +params.id));
+    return {};
+  }
+
+  async #handle(request, response) {
+    const url = new URL(request.url, `http://${request.headers.host}`);
+    const [route, params] = this.#route(request.method, url.pathname.replace(/\/$/, ""));
+    const status = (code) => console.info("%s %s %s %d", new Date().toISOString(), request.method, url.pathname, code);
+
+    try {
+      if (!route) throw new MockError(404, `No route for ${request.method} ${url.pathname}`);
+      if (url.pathname.startsWith("/v1/") && !/^Basic \S+/.test(request.headers.authorization || "")) {
+        throw new MockError(401, "Missing credentials");
+      }
+
+      const body = await readBody(request);
+      const result = await route.call(this, url, body, request, response, params);
+      if (result !== undefined) {
+        response.writeHead(200, { "Content-Type": "application/json" });
+        response.end(JSON.stringify(result));
+      }
+      status(200);
+    } catch (error) {
+      const code = error.status || 500;
+      response.writeHead(code, { "Content-Type": "application/json" });
+      response.end(JSON.stringify({ error: true, message: error.message }));
+      status(code);
+    }
+  }
+
+  listen(port, host) {
+    this.server = http.createServer((request, response) => this.#handle(request, response));
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => resolve(this.server.address()));
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => this.server.close(resolve));
+  }
+}
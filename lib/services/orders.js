@@ -0,0 +1,54 @@
+export const ORDER_STATUSES = ["Pending Payment", "Paid", "Canceled", "Abandoned"];
+
+export const CSV_COLUMNS = ["id", "created_at", "status", "shipment_status", "customer_email", "customer_name", "items", "subtotal", "shipping", "discount", "total", "currency", "shipping_method"];
+
+/**
+ * Match a status given on the command line, such as "paid" or
+ * "pending-payment", to the status name used by the API.
+ */
+export function resolveOrderStatus(value) {
+  const normalized = value.toLowerCase().replace(/[-_]/g, " ");
+  return ORDER_STATUSES.find((status) => status.toLowerCase() === normalized);
+}
+
+export function customerName(customer) {
+  customer ??= {};
+  return customer.fullname || [customer.name, customer.surname].filter(Boolean).join(" ");
+}
+
+/**
+ * Flatten an order from the API into a record with the CSV columns.
+ */
+export function orderRecord(order) {
+  const products = order.products || [];
+  return {
+    id: order.id,
+    created_at: order.created_at,
+    status: order.status,
+    shipment_status: order.shipment_status ?? "",
+    customer_email: order.customer?.email ?? "",
+    customer_name: customerName(order.customer),
+    items: products.reduce((sum, product) => sum + (product.qty || 0), 0),
+    subtotal: order.subtotal ?? "",
+    shipping: order.shipping ?? "",
+    discount: order.discount ?? "",
+    total: order.total ?? "",
+    currency: order.currency ?? "",
+    shipping_method: order.shipping_method_name ?? "",
+  };
+}
+
+/**
+ * Does an order match the date range and customer filters? Dates are
+ * inclusive, and the customer matches on a part of the email or name.
+ */
+export function matchesOrder(order, { since, until, customer }) {
+  const created = Date.parse(order.created_at);
+  if (since && created < since.getTime()) return false;
+  if (until && created > until.getTime()) return false;
+  if (customer) {
+    const text = `${order.customer?.email || ""} ${customerName(order.customer)}`.toLowerCase();
+    if (!text.includes(customer.toLowerCase())) return false;
+  }
+  return true;
+}
@@ -0,0 +1,229 @@
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { Liquid } from "liquidjs";
+import { watch } from "chokidar";
+
+import { watchThemeFolder } from "./watcher.js";
+
+export const FIXTURES_FOLDER = ".jumpseller-fixtures";
+const LIVERELOAD_PATH = "/__livereload";
+const LIVERELOAD_SCRIPT = `<script>new EventSource("${LIVERELOAD_PATH}").onmessage = () => location.reload();</script>`;
+
+const CONTENT_TYPES = {
+  ".css": "text/css",
+  ".js": "text/javascript",
+  ".json": "application/json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+};
+
+export const DEFAULT_FIXTURES = {
+  store: {
+    name: "Preview Store",
+    code: "preview",
+    url: "http://localhost",
+    currency: "USD",
+    language: "en",
+  },
+  product: {
+    id: 1,
+    name: "Sample Product",
+    permalink: "sample-product",
+    description: "<p>A product used to preview the theme locally.</p>",
+    price: 19.9,
+    discount: 0,
+    stock: 10,
+    images: [],
+    variants: [],
+  },
+  products: [
+    { id: 1, name: "Sample Product", permalink: "sample-product", price: 19.9 },
+    { id: 2, name: "Another Product", permalink: "another-product", price: 9.9 },
+  ],
+  cart: {
+    id: 1,
+    products_count: 1,
+    subtotal: 19.9,
+    total: 19.9,
+    products: [{ id: 1, name: "Sample Product", qty: 1, price: 19.9 }],
+  },
+};
+
+/**
+ * Write the default fixtures that do not exist yet, returning their paths.
+ */
+export function generateFixtures(folder) {
+  fs.mkdirSync(folder, { recursive: true });
+  return Object.entries(DEFAULT_FIXTURES).flatMap(([name, data]) => {
+    const file = path.join(folder, `${name}.json`);
+    if (fs.existsSync(file)) return [];
+    fs.writeFileSync(file, JSON.stringify(data, null, 2) + "\n");
+    return [file];
+  });
+}
+
+/**
+ * Read every fixture file in a folder, falling back to the defaults for
+ * missing ones. Each file becomes a global named after it.
+ */
+function readFixtures(folder) {
+  const fixtures = { ...DEFAULT_FIXTURES };
+  if (!fs.existsSync(folder)) return fixtures;
+  for (const file of fs.readdirSync(folder).filter((file) => file.endsWith(".json"))) {
+    try {
+      fixtures[path.basename(file, ".json")] = JSON.parse(fs.readFileSync(path.join(folder, file), "utf-8"));
+    } catch (error) {
+      throw new Error(`Invalid fixture ${file}: ${error.message}`, { cause: error });
+    }
+  }
+  return fixtures;
+}
+
+/**
+ * Map a request path to a template name, such as / to home and
+ * /products/<permalink> to product.
+ */
+function resolveTemplate(pathname) {
+  const segments = pathname.split("/").filter(Boolean);
+  if (segments.length === 0) return ["home", {}];
+  if (segments[0] === "products" && segments[1]) return ["product", { permalink: segments[1] }];
+  return [segments.join("/"), {}];
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+/**
+ * Render a local theme with fixture data and serve its assets, reloading
+ * open pages whenever a theme or fixture file changes.
+ */
+export class PreviewServer {
+  constructor(folder, { fixtures = path.join(folder, FIXTURES_FOLDER) } = {}) {
+    this.folder = path.resolve(folder);
+    this.fixtures = path.resolve(fixtures);
+    this.clients = new Set();
+
+    const roots = ["templates", "partials", "components"].map((name) => path.join(this.folder, name));
+    this.engine = new Liquid({ root: roots, partials: roots, layouts: roots, extname: ".liquid", cache: false });
+    this.engine.registerFilter("asset", (file) => `/assets/${file}`);
+    this.engine.registerFilter("money", (value) => (Number(value) || 0).toFixed(2));
+  }
+
+  #templateFile(name) {
+    const file = path.join(this.folder, "templates", `${name}.liquid`);
+    return file.startsWith(path.join(this.folder, "templates") + path.sep) && fs.existsSync(file) ? file : undefined;
+  }
+
+  async #render(pathname, query) {
+    const [name, params] = resolveTemplate(pathname);
+    if (!this.#templateFile(name)) return;
+
+    const fixtures = readFixtures(this.fixtures);
+    if (params.permalink) {
+      const product = fixtures.products?.find((product) => product.permalink === params.permalink);
+      if (product) fixtures.product = { ...fixtures.product, ...product };
+    }
+    const context = { ...fixtures, template: name, request: { path: pathname, params: Object.fromEntries(query) } };
+
+    let html = await this.engine.renderFile(name, context);
+    if (this.#templateFile("layout")) {
+      html = await this.engine.renderFile("layout", { ...context, content: html, content_for_layout: html });
+    }
+    return html;
+  }
+
+  #serveAsset(pathname, response) {
+    const assets = path.join(this.folder, "assets");
+    const file = path.resolve(assets, decodeURIComponent(pathname.slice("/assets/".length)));
+    if (!file.startsWith(assets + path.sep) || !fs.statSync(file, { throwIfNoEntry: false })?.isFile()) return false;
+
+    response.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream" });
+    fs.createReadStream(file).pipe(response);
+    return true;
+  }
+
+  #liveReload(request, response) {
+    response.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+    response.write(": connected\n\n");
+    this.clients.add(response);
+    request.on("close", () => this.clients.delete(response));
+  }
+
+  /**
+   * Answer a request the path of which cannot be decoded, or that failed
+   * before a response was started.
+   */
+  #fail(request, response, code, message) {
+    console.info("%s %s %d", request.method, request.url, code);
+    if (response.headersSent) return response.destroy();
+    response.writeHead(code, { "Content-Type": "text/html; charset=utf-8" });
+    response.end(`<h1>${escapeHtml(message)}</h1>`);
+  }
+
+  async #handle(request, response) {
+    let url;
+    try {
+      url = new URL(request.url, "http://localhost");
+      if (url.pathname.startsWith("/assets/") && this.#serveAsset(url.pathname, response)) {
+        return console.info("%s %s %d", request.method, url.pathname, 200);
+      }
+    } catch (error) {
+      if (error instanceof URIError || error.code === "ERR_INVALID_URL") return this.#fail(request, response, 400, "Bad request");
+      throw error;
+    }
+    const status = (code) => console.info("%s %s %d", request.method, url.pathname, code);
+
+    if (url.pathname === LIVERELOAD_PATH) return this.#liveReload(request, response);
+
+    try {
+      const html = await this.#render(url.pathname, url.searchParams);
+      const code = html === undefined ? 404 : 200;
+      response.writeHead(code, { "Content-Type": "text/html; charset=utf-8" });
+      response.end((html ?? `<h1>No template for ${escapeHtml(url.pathname)}</h1>`) + LIVERELOAD_SCRIPT);
+      status(code);
+    } catch (error) {
+      response.writeHead(500, { "Content-Type": "text/html; charset=utf-8" });
+      response.end(`<h1>Render error</h1><pre>${escapeHtml(error.message)}</pre>${LIVERELOAD_SCRIPT}`);
+      console.error("Render error on %s: %s", url.pathname, error.message);
+      status(500);
+    }
+  }
+
+  #reload(fullpath) {
+    console.info("== RELOAD %s", path.relative(this.folder, fullpath));
+    this.clients.forEach((client) => client.write("data: reload\n\n"));
+  }
+
+  listen(port, host) {
+    this.watchers = [watchThemeFolder(this.folder), watch(this.fixtures, { ignoreInitial: true })];
+    this.watchers.forEach((watcher) => watcher.on("all", (_event, fullpath) => this.#reload(fullpath)));
+
+    this.server = http.createServer((request, response) => {
+      this.#handle(request, response).catch((error) => {
+        console.error("Failed to serve %s: %s", request.url, error.message);
+        this.#fail(request, response, 500, "Server error");
+      });
+    });
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => resolve(this.server.address()));
+    });
+  }
+
+  async close() {
+    this.clients.forEach((client) => client.end());
+    await Promise.all(this.watchers.map((watcher) => watcher.close()));
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+}
@@ -0,0 +1,50 @@
+export const PRODUCT_STATUSES = ["available", "not-available", "disabled"];
+
+// Columns of exported CSV files, and the ones read back on import
+export const CSV_COLUMNS = ["id", "name", "sku", "barcode", "brand", "price", "discount", "stock", "weight", "status", "description"];
+
+const DECIMAL_FIELDS = ["price", "discount", "weight"];
+
+/**
+ * Flatten a product from the API into a record with the CSV columns.
+ */
+export function productRecord(product) {
+  return Object.fromEntries(CSV_COLUMNS.map((column) => [column, product[column] ?? ""]));
+}
+
+/**
+ * Validate a product given as strings, such as a CSV row or command line
+ * options, and convert it to API fields. Blank values are left out, so they
+ * are not changed on update. Rows without an id are created, and need a name.
+ */
+export function parseProductRow(record) {
+  const errors = [], fields = {};
+  const value = (column) => String(record[column] ?? "").trim();
+
+  let id;
+  if (value("id")) {
+    if (/^[1-9]\d*$/.test(value("id"))) id = +value("id");
+    else errors.push(`invalid id "${value("id")}"`);
+  } else if (!value("name")) {
+    errors.push("name is required for new products");
+  }
+
+  for (const column of ["name", "sku", "barcode", "brand", "description"]) {
+    if (value(column)) fields[column] = value(column);
+  }
+  for (const column of DECIMAL_FIELDS) {
+    if (!value(column)) continue;
+    if (/^\d+(\.\d+)?$/.test(value(column))) fields[column] = +value(column);
+    else errors.push(`invalid ${column} "${value(column)}"`);
+  }
+  if (value("stock")) {
+    if (/^-?\d+$/.test(value("stock"))) fields.stock = +value("stock");
+    else errors.push(`invalid stock "${value("stock")}"`);
+  }
+  if (value("status")) {
+    if (PRODUCT_STATUSES.includes(value("status"))) fields.status = value("status");
+    else errors.push(`invalid status "${value("status")}", expected one of ${PRODUCT_STATUSES.join(", ")}`);
+  }
+
+  return { id, fields, errors };
+}
@@ -0,0 +1,52 @@
+import fs from "fs";
+import path from "path";
+
+export const PROJECT_FILE = "jumpseller.json";
+
+export class ProjectError extends Error {
+  exitCode = 1;
+
+  constructor(message) {
+    super(message);
+    Error.captureStackTrace(this, this.constructor);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Find the closest folder containing the given file, starting from dir and
+ * going up to the root.
+ */
+export function findUpwards(filename, dir = process.cwd()) {
+  for (let fingerDir = path.resolve(dir); ; fingerDir = path.dirname(fingerDir)) {
+    if (fs.statSync(path.join(fingerDir, filename), { throwIfNoEntry: false })?.isFile()) return fingerDir;
+    if (path.dirname(fingerDir) === fingerDir) return;
+  }
+}
+
+/**
+ * Load the jumpseller.json of the project a folder belongs to, if any. The
+ * theme source folder it names is relative to the project file.
+ */
+export function loadProject(dir = process.cwd()) {
+  const folder = findUpwards(PROJECT_FILE, dir);
+  if (!folder) return;
+
+  const file = path.join(folder, PROJECT_FILE);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new ProjectError(`Invalid ${file}: ${err.message}`);
+  }
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new ProjectError(`Invalid ${file}: expected an object`);
+  }
+  return { folder, file, config, sourceFolder: path.join(folder, config.folder || ".") };
+}
+
+export function writeProject(folder, config) {
+  const file = path.join(folder, PROJECT_FILE);
+  fs.writeFileSync(file, JSON.stringify(config, null, 2) + "\n");
+  return file;
+}
@@ -0,0 +1,50 @@
+/**
+ * Coalesce file events per path over a debounce window and hand them over
+ * in batches. Batches are flushed one at a time, so a batch is only sent
+ * once the previous one has completed and later events never overtake
+ * earlier ones for the same path.
+ */
+export class WriteQueue {
+  constructor(flush, { delay = 300 } = {}) {
+    this.flush = flush;
+    this.delay = delay;
+    this.pending = new Map();
+    this.timer = null;
+    this.chain = Promise.resolve();
+  }
+
+  get size() {
+    return this.pending.size;
+  }
+
+  /**
+   * Queue an action ("write" or "unlink") for a path, replacing any action
+   * still pending for it.
+   */
+  push(path, action) {
+    this.pending.delete(path);
+    this.pending.set(path, action);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.#schedule(), this.delay);
+  }
+
+  /**
+   * Flush whatever is pending right away and wait for all batches to complete.
+   */
+  drain() {
+    clearTimeout(this.timer);
+    return this.#schedule();
+  }
+
+  #schedule() {
+    this.timer = null;
+    if (this.pending.size > 0) {
+      const batch = this.pending;
+      this.pending = new Map();
+      this.chain = this.chain.then(() => this.flush(batch)).catch((error) => {
+        console.error("Error sending batch:", error.message);
+      });
+    }
+    return this.chain;
+  }
+}
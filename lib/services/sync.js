@@ -0,0 +1,201 @@
+import fs from "fs";
+import path from "path";
+import unzipper from "unzipper";
+import { createTwoFilesPatch } from "diff";
+
+import { isBinaryFile } from "./upload.js";
+
+function resolveLink(link) {
+  try {
+    return fs.realpathSync(link);
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+}
+
+/**
+ * Walk a folder, following symlinks, and call back with the relative path
+ * (prefixed by prefixPath) and filesystem path of every file found.
+ * Entries for which skip returns true are left out, including whole folders,
+ * and so are dangling symlinks.
+ */
+export function recurseFolder(prefixPath, currentPath, callback, skip = () => false) {
+  for (const entry of fs.readdirSync(currentPath, { withFileTypes: true })) {
+    const zipPath = path.join(prefixPath, entry.name);
+    const fsPath = entry.isSymbolicLink()
+      ? resolveLink(path.join(currentPath, entry.name))
+      : path.join(currentPath, entry.name);
+    if (!fsPath) continue;
+
+    const isDirectory = fs.statSync(fsPath).isDirectory();
+    if (skip(path.normalize(zipPath), isDirectory)) continue;
+
+    if (isDirectory) {
+      recurseFolder(zipPath, fsPath, callback, skip);
+    } else {
+      callback(zipPath, fsPath);
+    }
+  }
+}
+
+/**
+ * Read every file in a local theme folder accepted by the filter and not
+ * excluded by its ignore rules into a map of relative path to content.
+ */
+export function readLocalTheme(folder, filter, ignore) {
+  const files = new Map();
+  const skip = (relativePath, isDirectory) => !!ignore?.ignores(relativePath, isDirectory);
+  recurseFolder("", folder, (relativePath, fsPath) => {
+    if (filter(relativePath)) files.set(relativePath, fs.readFileSync(fsPath));
+  }, skip);
+  return files;
+}
+
+/**
+ * Read every file in a theme zip archive accepted by the filter into a map
+ * of relative path to content. Entries pointing outside of the theme are
+ * rejected, as the paths are later written to a local folder.
+ */
+export async function readThemeArchive(buffer, filter) {
+  const files = new Map();
+  const directory = await unzipper.Open.buffer(buffer);
+  for (const entry of directory.files) {
+    if (entry.type !== "File") continue;
+    const relativePath = path.normalize(entry.path);
+    if (path.isAbsolute(relativePath) || relativePath.split(path.sep)[0] === "..") {
+      throw new ArchiveError(`Archive entry "${entry.path}" points outside of the theme`);
+    }
+    if (!filter(relativePath)) continue;
+    files.set(relativePath, await entry.buffer());
+  }
+  return files;
+}
+
+export class ArchiveError extends Error {
+  exitCode = 1;
+
+  constructor(message) {
+    super(message);
+    Error.captureStackTrace(this, this.constructor);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Resolve the destination of an archive entry, rejecting entries that would
+ * land outside the target folder (zip slip).
+ */
+export function entryDestination(target, entryPath) {
+  const root = path.resolve(target);
+  const destination = path.resolve(root, entryPath);
+  if (path.isAbsolute(entryPath) || !destination.startsWith(root + path.sep)) {
+    throw new ArchiveError(`Archive entry "${entryPath}" points outside of ${target}`);
+  }
+  return destination;
+}
+
+/**
+ * First free name for a backup of a file: file.bak, then file.bak.1, and so
+ * on, so earlier backups are never overwritten.
+ */
+export function backupFilename(file) {
+  let backup = `${file}.bak`;
+  for (let n = 1; fs.existsSync(backup); n++) backup = `${file}.bak.${n}`;
+  return backup;
+}
+
+/**
+ * Extract a theme archive into a folder. Every entry is checked before
+ * anything is written. Existing files that differ from the archive are
+ * handled by resolveConflict, returning "overwrite", "skip" or "backup".
+ */
+export async function extractThemeArchive(zipPath, target, resolveConflict = () => "overwrite") {
+  let directory;
+  try {
+    directory = await unzipper.Open.file(zipPath);
+  } catch (error) {
+    throw new ArchiveError(`Invalid theme archive ${zipPath}: ${error.message}`);
+  }
+
+  const entries = directory.files
+    .filter((entry) => entry.type === "File")
+    .map((entry) => [entry, entryDestination(target, entry.path)]);
+
+  const summary = { written: 0, unchanged: 0, skipped: 0, backedUp: 0 };
+  for (const [entry, destination] of entries) {
+    const content = await entry.buffer();
+    const relativePath = path.relative(target, destination);
+
+    if (fs.existsSync(destination)) {
+      if (content.equals(fs.readFileSync(destination))) {
+        summary.unchanged++;
+        continue;
+      }
+      const action = await resolveConflict(relativePath);
+      if (action === "skip") {
+        summary.skipped++;
+        continue;
+      }
+      if (action === "backup") {
+        fs.renameSync(destination, backupFilename(destination));
+        summary.backedUp++;
+      }
+    }
+
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    fs.writeFileSync(destination, content);
+    summary.written++;
+  }
+  return summary;
+}
+
+/**
+ * Download an installed theme through the export endpoint and read it into
+ * memory, without touching the filesystem.
+ */
+export async function readRemoteTheme(api, id, filter) {
+  const response = await api.post("/v1/themes/export", { theme: id });
+  return readThemeArchive(Buffer.from(await response.arrayBuffer()), filter);
+}
+
+/**
+ * List the files that would have to be added, changed or deleted in target
+ * to make it identical to source.
+ */
+export function compareThemes(source, target) {
+  const added = [], changed = [], deleted = [];
+  for (const [relativePath, content] of source) {
+    if (!target.has(relativePath)) added.push(relativePath);
+    else if (!content.equals(target.get(relativePath))) changed.push(relativePath);
+  }
+  for (const relativePath of target.keys()) {
+    if (!source.has(relativePath)) deleted.push(relativePath);
+  }
+  return { added: added.sort(), changed: changed.sort(), deleted: deleted.sort() };
+}
+
+export function isEmptyChangeset({ added, changed, deleted }) {
+  return added.length === 0 && changed.length === 0 && deleted.length === 0;
+}
+
+export function printChangeset({ added, changed, deleted }) {
+  added.forEach((relativePath) => console.info("== %s %s", "ADD", relativePath));
+  changed.forEach((relativePath) => console.info("== %s %s", "CHANGE", relativePath));
+  deleted.forEach((relativePath) => console.info("== %s %s", "DELETE", relativePath));
+  console.info("%d to add, %d to change, %d to delete", added.length, changed.length, deleted.length);
+}
+
+/**
+ * Render a unified diff of a single file between two theme snapshots, where
+ * a missing side stands for an added or deleted file.
+ */
+export function unifiedDiff(relativePath, before, after) {
+  const oldName = before ? `a/${relativePath}` : "/dev/null";
+  const newName = after ? `b/${relativePath}` : "/dev/null";
+
+  if ([before, after].some((content) => content && isBinaryFile(relativePath, content))) {
+    return `Binary files ${oldName} and ${newName} differ\n`;
+  }
+  const patch = createTwoFilesPatch(oldName, newName, before?.toString("utf-8") ?? "", after?.toString("utf-8") ?? "");
+  return patch.replace(/^=+\n/, "");
+}
@@ -0,0 +1,112 @@
+import path from "path";
+import archiver from "archiver";
+import FormData from "form-data";
+
+import { MAX_ASSET_SIZE } from "./check.js";
+
+const BINARY_EXTENSIONS = [
+  ".png", ".jpg", ".jpeg", ".gif", ".webp", ".avif", ".ico", ".bmp",
+  ".woff", ".woff2", ".ttf", ".otf", ".eot",
+  ".mp4", ".webm", ".mp3", ".pdf", ".zip",
+];
+
+const utf8 = new TextDecoder("utf-8", { fatal: true });
+
+export class UploadError extends Error {
+  exitCode = 1;
+
+  constructor(message, relativePath) {
+    super(message);
+    Error.captureStackTrace(this, this.constructor);
+    this.name = this.constructor.name;
+    this.path = relativePath;
+  }
+}
+
+export class UploadSizeError extends UploadError {
+  constructor(relativePath, size, limit) {
+    super(`${relativePath} is ${formatMegabytes(size)}, above the ${formatMegabytes(limit)} upload limit`, relativePath);
+  }
+}
+
+function formatMegabytes(size) {
+  return `${(size / 1048576).toFixed(1)}MB`;
+}
+
+/**
+ * Files with a known binary extension, or whose content is not valid UTF-8
+ * text. The theme file endpoint only takes text, so these are sent inside
+ * an archive with importBinaryFiles instead.
+ */
+export function isBinaryFile(relativePath, content) {
+  if (BINARY_EXTENSIONS.includes(path.extname(relativePath).toLowerCase())) return true;
+  if (content.includes(0)) return true;
+  try {
+    utf8.decode(content);
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+function submitFormData(formData, url) {
+  return new Promise((resolve, reject) => {
+    formData.submit(url, (err, res) => {
+      if (err) return reject(err);
+      resolve(res);
+    });
+  });
+}
+
+/**
+ * Upload an archive, given as a stream or a Buffer, to the storage the
+ * store presigns for theme imports. Resolves to the uploaded filename, to
+ * pass to the presigned_import endpoint.
+ */
+export async function uploadPresigned(api, archive, filename) {
+  const response = await api.get("v1/themes/presigned_for_import");
+  const presigned = await response.json();
+
+  const formData = new FormData();
+  Object.entries(presigned.fields).forEach(([key, value]) => {
+    formData.append(key, value);
+  });
+  formData.append("file", archive, filename);
+
+  const upload = await submitFormData(formData, presigned.url);
+  upload.resume();
+  if (upload.statusCode < 200 || upload.statusCode >= 300) {
+    throw new Error(`[Upload error] status ${upload.statusCode}`);
+  }
+  return filename;
+}
+
+function zipFiles(files) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver("zip");
+    const chunks = [];
+    archive.on("data", (chunk) => chunks.push(chunk));
+    archive.on("end", () => resolve(Buffer.concat(chunks)));
+    archive.on("error", reject);
+    files.forEach(([relativePath, content]) => archive.append(content, { name: relativePath }));
+    archive.finalize();
+  });
+}
+
+/**
+ * Send binary files, given as [path, Buffer] pairs, to an installed theme as
+ * a small archive imported into it, replacing those files only.
+ */
+export async function importBinaryFiles(api, theme, files) {
+  const filename = `theme-${theme}-files-${Date.now()}-${Math.random().toString(36).slice(2)}.zip`;
+  await uploadPresigned(api, await zipFiles(files), filename);
+  const response = await api.post("v1/themes/presigned_import", { theme }, { filename, source: null });
+  return await response.json();
+}
+
+/**
+ * Check that a file is within the upload size limit.
+ */
+export function checkUploadSize(relativePath, size, limit = MAX_ASSET_SIZE) {
+  if (size > limit) throw new UploadSizeError(relativePath, size, limit);
+}
@@ -0,0 +1,64 @@
+import crypto from "crypto";
+
+const CIPHER = "aes-256-gcm";
+const KEY_LENGTH = 32;
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+export class VaultError extends Error {
+  exitCode = 3;
+
+  constructor(message) {
+    super(message);
+    Error.captureStackTrace(this, this.constructor);
+    this.name = this.constructor.name;
+  }
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, KEY_LENGTH, SCRYPT_OPTIONS);
+}
+
+/**
+ * Encrypt text with a key derived from the passphrase, returning the
+ * serialized vault contents.
+ */
+export function sealVault(text, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(text, "utf-8"), cipher.final()]);
+
+  const vault = {
+    version: 1,
+    kdf: "scrypt",
+    cipher: CIPHER,
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+  return JSON.stringify(vault, null, 2) + "\n";
+}
+
+/**
+ * Decrypt serialized vault contents, failing with a VaultError when the
+ * passphrase is wrong or the vault has been tampered with.
+ */
+export function openVault(content, passphrase) {
+  let vault;
+  try {
+    vault = JSON.parse(content);
+  } catch {
+    throw new VaultError("Credentials vault is corrupted");
+  }
+  if (vault.version !== 1) throw new VaultError(`Unsupported credentials vault version ${vault.version}`);
+
+  try {
+    const key = deriveKey(passphrase, Buffer.from(vault.salt, "base64"));
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(vault.iv, "base64"));
+    decipher.setAuthTag(Buffer.from(vault.tag, "base64"));
+    return Buffer.concat([decipher.update(Buffer.from(vault.data, "base64")), decipher.final()]).toString("utf-8");
+  } catch {
+    throw new VaultError("Wrong passphrase for the credentials vault");
+  }
+}
@@ -6,26 +6,227 @@ import { watch } from "chokidar";
 
 import Api from "./api.js";
 import { GitObserver } from "./git.js";
+import { WriteQueue } from "./queue.js";
+import { RetryJournal, JOURNAL_FILE } from "./journal.js";
+import { ThemeIgnore } from "./ignore.js";
+import { UploadError, checkUploadSize, importBinaryFiles, isBinaryFile } from "./upload.js";
+
+const GIT_POLL_INTERVAL = 500;
+const GIT_SETTLE_DELAY = 1000;
+
+function gitErrorMessage(error) {
+  return error.stderr?.toString().trim() || error.message;
+}
+
+/**
+ * Watch a theme folder for file events, leaving out retry journals and the
+ * files excluded by the default rules and .jumpsellerignore. Both theme
+ * watch and theme serve go through here so they always see the same files.
+ */
+export function watchThemeFolder(folder, ignore = ThemeIgnore.load(folder)) {
+  return watch(folder, {
+    ignoreInitial: true,
+    alwaysStat: true,
+    disableGlobbing: true,
+    ignored: (fullpath, stats) => {
+      const relativePath = path.relative(folder, fullpath);
+      if (!relativePath || relativePath.startsWith("..")) return false;
+      return path.basename(fullpath).startsWith(JOURNAL_FILE) || ignore.ignores(relativePath, stats?.isDirectory());
+    },
+  });
+}
+
+/**
+ * An installed theme the watcher mirrors the folder to. Each target has its
+ * own Api instance, write queue and retry journal, so a failing or slow
+ * target never holds back the others.
+ */
+export class ThemeTarget {
+  constructor(store, theme) {
+    this.store = store;
+    this.id = theme;
+    this.api = new Api(store);
+    this.label = `${store}:${theme}`;
+  }
+
+  async writeBulk(paths, contents) {
+    const response = await this.api.put("/v1/themes/schema", { theme: this.id }, { paths, contents });
+    const body = await response.json();
+    if (body.error) console.error("[%s] %s", this.label, body.message);
+    return body;
+  }
+
+  /**
+   * Write files given as [path, Buffer] pairs: text through the theme file
+   * endpoint, and binaries, which it does not accept, as an imported archive.
+   */
+  async writeFiles(files) {
+    const binaries = files.filter(([relativePath, content]) => isBinaryFile(relativePath, content));
+    const texts = files.filter((file) => !binaries.includes(file));
+    if (binaries.length > 0) {
+      const body = await importBinaryFiles(this.api, this.id, binaries);
+      if (body.error) {
+        console.error("[%s] %s", this.label, body.message);
+        return body;
+      }
+    }
+    if (texts.length === 0) return {};
+    return await this.writeBulk(texts.map(([relativePath]) => relativePath), texts.map(([, content]) => content.toString("utf-8")));
+  }
+
+  async unlinkBulk(paths) {
+    const params = { theme: this.id, paths };
+    const response = await this.api.delete("/v1/themes/schema", params);
+    const body = await response.json();
+    if (body.error) console.error("[%s] %s", this.label, body.message);
+    return body;
+  }
+
+  /**
+   * Load the retry journal of this target in a theme folder, holding
+   * operations that failed in previous runs.
+   */
+  openJournal(folder) {
+    return (this.journal ??= new RetryJournal(folder, this.store, this.id));
+  }
+
+  start(folder, debounce) {
+    this.openJournal(folder);
+    this.queue = new WriteQueue((batch) => this.#sendBatch(folder, batch), { delay: debounce });
+    if (this.journal.size > 0) {
+      console.info("=== [%s] Replaying %d pending operations", this.label, this.journal.size);
+      this.#replayJournal();
+    }
+  }
+
+  push(relativePath, action) {
+    this.queue.push(relativePath, action);
+  }
+
+  flush() {
+    return this.queue.drain();
+  }
+
+  async stop() {
+    clearTimeout(this.retryTimer);
+    await this.queue.drain();
+    if (this.journal.size > 0) {
+      console.info("[%s] %d operations still pending in %s", this.label, this.journal.size, this.journal.file);
+    }
+  }
+
+  /**
+   * Send a batch of coalesced events, reading file contents at send time so
+   * only the latest version of each file is uploaded. A file gone by then,
+   * such as one deleted while a journaled write waited, is deleted instead,
+   * and one that cannot be read is rejected without holding back the rest.
+   */
+  async #sendBatch(folder, batch) {
+    const writes = [], deletes = [], rejected = [];
+    for (const [relativePath, action] of batch) {
+      if (action === "unlink") {
+        deletes.push(relativePath);
+        continue;
+      }
+      try {
+        const content = fs.readFileSync(path.join(folder, relativePath));
+        checkUploadSize(relativePath, content.length);
+        writes.push([relativePath, content]);
+      } catch (err) {
+        if (err.code === "ENOENT") {
+          deletes.push(relativePath);
+        } else {
+          console.error("[%s] Upload rejected: %s", this.label, err instanceof UploadError ? err.message : `cannot read ${relativePath}: ${err.message}`);
+          rejected.push(relativePath);
+        }
+      }
+    }
+    if (rejected.length > 0) this.journal.succeed(rejected);
+
+    const started = Date.now();
+    const failures = [];
+    const paths = writes.map(([relativePath]) => relativePath);
+    if (writes.length > 0) failures.push(await this.#attempt(paths, "write", () => this.writeFiles(writes)));
+    if (deletes.length > 0) failures.push(await this.#attempt(deletes, "unlink", () => this.unlinkBulk(deletes)));
+
+    const status = failures.some(Boolean) ? "FAILED" : "OK";
+    const counts = [writes.length, deletes.length, rejected.length];
+    console.info("=== [%s] BATCH %s: %d written, %d deleted, %d rejected (%dms)", this.label, status, ...counts, Date.now() - started);
+    this.#reportJournal();
+  }
+
+  /**
+   * Run a request for the given paths, recording the outcome in the retry
+   * journal. Returns the error message on failure.
+   */
+  async #attempt(paths, action, request) {
+    let error;
+    try {
+      const body = await request();
+      if (body.error) error = body.message || "Unknown error";
+    } catch (err) {
+      error = err.message;
+      console.error("[%s] Error sending %d files: %s", this.label, paths.length, error);
+    }
+
+    if (error) {
+      this.journal.fail(paths, action, error);
+      this.#scheduleRetry();
+    } else {
+      this.journal.succeed(paths);
+    }
+    return error;
+  }
+
+  #scheduleRetry() {
+    if (this.retryTimer) return;
+    const delay = this.journal.retryDelay();
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.#replayJournal();
+    }, delay);
+  }
+
+  #replayJournal() {
+    for (const { path: relativePath, action } of this.journal.operations.values()) {
+      if (!this.queue.pending.has(relativePath)) this.queue.push(relativePath, action);
+    }
+  }
+
+  #reportJournal() {
+    if (this.journal.size > 0) {
+      console.info("=== [%s] %d operations queued for retry (next in %ds)", this.label, this.journal.size, this.journal.retryDelay() / 1000);
+    }
+  }
+}
 
-// Lots to be improved here:
-// - Batch and debounce writes together
-// - And for previous write/unlink to complete before sending next one
 export class ThemeWatcher {
   constructor(store, theme, config) {
     this.store = store;
     this.id = theme;
-    this.api = new Api(store);
+    this.targets = [new ThemeTarget(store, theme)];
     this.allowlist = config.allow || [];
     this.blocklist = config.block || [];
-    this.requests = [];
+    this.debounce = config.debounce ?? 300;
+    this.confirmGitSync = config.confirmGitSync || (() => true);
+    this.heldPaths = new Set();
+  }
+
+  /**
+   * Mirror the folder to another installed theme, possibly in another store.
+   */
+  addTarget(store, theme) {
+    const target = new ThemeTarget(store, theme);
+    this.targets.push(target);
+    return target;
   }
 
   async writeBulk(paths, contents) {
-    const update = { paths, contents };
-    const response = await this.api.put("/v1/themes/schema", { theme: this.id }, update);
-    const body = await response.json();
-    if (body.error) console.error(body.message);
-    return body;
+    return await this.targets[0].writeBulk(paths, contents);
+  }
+
+  async writeFiles(files) {
+    return await this.targets[0].writeFiles(files);
   }
 
   async write(path, content) {
@@ -33,11 +234,11 @@ export class ThemeWatcher {
   }
 
   async unlink(path) {
-    const params = { theme: this.id, paths: [path] };
-    const response = await this.api.delete("/v1/themes/schema", params);
-    const body = await response.json();
-    if (body.error) console.error(body.message);
-    return body;
+    return await this.unlinkBulk([path]);
+  }
+
+  async unlinkBulk(paths) {
+    return await this.targets[0].unlinkBulk(paths);
   }
 
   isKnownPath(path) {
@@ -62,7 +263,71 @@ export class ThemeWatcher {
   }
 
   #checkGitRepository() {
-    return !!this.gitObserver && this.gitObserver.check();
+    if (!this.gitObserver) return false;
+    try {
+      return this.gitObserver.check();
+    } catch (error) {
+      console.error("=== Could not check the git repository: %s", gitErrorMessage(error));
+      return false;
+    }
+  }
+
+  #pauseForGit() {
+    const operation = this.gitObserver.readOperation();
+    console.info("=== Git %s detected on %s, pausing uploads", operation || "checkout", this.gitObserver.folder);
+    this.gitPause = { paths: new Set() };
+    this.lastEvent = Date.now();
+  }
+
+  /**
+   * Resume once no operation is in progress and the working tree has been
+   * quiet for a moment, or pause if git moved without any file event.
+   */
+  async #pollGitRepository(folder) {
+    if (!this.gitPause) {
+      if (this.#checkGitRepository()) this.#pauseForGit();
+      return;
+    }
+    if (this.gitObserver.readOperation() || Date.now() - this.lastEvent < GIT_SETTLE_DELAY) return;
+    await this.#resumeAfterGit(folder);
+  }
+
+  /**
+   * Collect the files changed by git, both the ones that moved between the
+   * pinned and the current HEAD and the ones written while paused, and offer
+   * to sync them to every target in a single batch. Declined changes are held
+   * and offered again after the next git operation, unless edited meanwhile.
+   */
+  async #resumeAfterGit(folder) {
+    const paths = new Set([...this.heldPaths, ...this.gitPause.paths]);
+    const observer = this.gitObserver;
+    this.gitPause = null;
+    try {
+      for (const file of observer.changedFiles(observer.head, observer.readHead())) {
+        const relativePath = path.relative(folder, path.join(observer.folder, file));
+        if (!relativePath.startsWith("..") && !path.isAbsolute(relativePath)) paths.add(relativePath);
+      }
+      observer.pin();
+    } catch (error) {
+      console.error("=== Could not list the files changed by git: %s", gitErrorMessage(error));
+    }
+
+    const changes = [...paths].filter((relativePath) => this.isKnownPath(relativePath) && !this.ignore.ignores(relativePath)).sort();
+    if (changes.length === 0) return console.info("=== Git operation finished, no theme files changed");
+
+    console.info("=== Git operation finished, %d theme files changed:", changes.length);
+    changes.forEach((relativePath) => console.info("  %s", relativePath));
+    this.heldPaths = new Set(changes);
+    if (!(await this.confirmGitSync(changes))) {
+      return console.info("=== Holding %d changes from git, they are offered again after the next git operation", changes.length);
+    }
+
+    this.heldPaths.clear();
+    for (const relativePath of changes) {
+      const action = fs.existsSync(path.join(folder, relativePath)) ? "write" : "unlink";
+      this.targets.forEach((target) => target.push(relativePath, action));
+    }
+    await Promise.all(this.targets.map((target) => target.flush()));
   }
 
   #asyncStopHook() {
@@ -75,34 +340,35 @@ export class ThemeWatcher {
     if (this.watcher) throw new Error("Already watching");
 
     this.#pinGitRepository(folder);
-
-    this.watcher = watch(folder, {
-      ignoreInitial: true,
-      alwaysStat: true,
-      disableGlobbing: true,
-    });
+    this.ignore = ThemeIgnore.load(folder);
+    this.watcher = watchThemeFolder(folder, this.ignore);
 
     const [promise, stop] = this.#asyncStopHook();
+    const push = (relativePath, action) => {
+      this.heldPaths.delete(relativePath);
+      this.targets.forEach((target) => target.push(relativePath, action));
+    };
 
     this.watcher.on("all", (event, fullpath) => {
       const relativePath = path.relative(folder, fullpath);
       const action = this.isKnownPath(relativePath) ? event : "SKIP";
 
-      if (this.#checkGitRepository()) {
-        console.error("Git operation detected on %s, exiting...", this.gitObserver.folder);
-        return stop();
+      if (!this.gitPause && this.#checkGitRepository()) this.#pauseForGit();
+      if (this.gitPause) {
+        this.lastEvent = Date.now();
+        if (event === "add" || event === "change" || event === "unlink") this.gitPause.paths.add(relativePath);
+        return;
       }
 
       switch (action) {
         case "change":
         case "add": {
-          const content = fs.readFileSync(fullpath, "utf-8");
-          this.requests.push(this.write(relativePath, content));
+          push(relativePath, "write");
           console.info("== %s %s", "WRITE", relativePath);
           break;
         }
         case "unlink": {
-          this.requests.push(this.unlink(relativePath));
+          push(relativePath, "unlink");
           console.info("== %s %s", "DELETE", relativePath);
           break;
         }
@@ -115,8 +381,19 @@ export class ThemeWatcher {
     process.on("SIGINT", stop);
     process.on("SIGTERM", stop);
 
+    this.targets.forEach((target) => target.start(folder, this.debounce));
+    if (this.gitObserver) {
+      this.gitTimer = setInterval(() => {
+        if (this.gitPolling) return;
+        this.gitPolling = this.#pollGitRepository(folder)
+          .catch((error) => console.error("=== Git check failed, still watching: %s", gitErrorMessage(error)))
+          .finally(() => (this.gitPolling = null));
+      }, GIT_POLL_INTERVAL);
+    }
+
     try {
       console.info("=== Listening for file events on %s", path.resolve(folder));
+      this.targets.forEach((target) => console.info("=== Mirroring to theme %s", target.label));
       await promise;
       console.info("Stopped listening for file events");
     } finally {
@@ -124,7 +401,11 @@ export class ThemeWatcher {
       process.off("SIGTERM", stop);
     }
 
+    clearInterval(this.gitTimer);
+    if (this.heldPaths.size > 0) {
+      console.info("%d files changed by git were not synced, use theme push to sync them", this.heldPaths.size);
+    }
     await this.watcher.close();
-    await Promise.all(this.requests);
+    await Promise.all(this.targets.map((target) => target.stop()));
   }
 }
@@ -1,75 +1,158 @@
 import { Command, InvalidArgumentError } from "commander";
-import { pipeline } from "stream";
-import { promisify } from "util";
+import { pipeline, Transform } from "stream";
+import { promisify, format } from "util";
 import fs from "fs";
 import path from "path";
 import os from "os";
 import archiver from "archiver";
-import unzipper from "unzipper";
-import FormData from "form-data";
+import readline from "readline-sync";
+import { createInterface } from "readline/promises";
 
 import Auth from "./services/auth.js";
-import Api from "./services/api.js";
+import Api, { NotFoundError } from "./services/api.js";
 import { ThemeWatcher } from "./services/watcher.js";
+import { GitObserver } from "./services/git.js";
+import { checkTheme, formatDiagnostic } from "./services/check.js";
+import { ThemeIgnore } from "./services/ignore.js";
+import { checkUploadSize, uploadPresigned } from "./services/upload.js";
+import { loadProject, ProjectError, PROJECT_FILE } from "./services/project.js";
+import { PreviewServer, FIXTURES_FOLDER, generateFixtures } from "./services/preview.js";
+import { backupPaths, writeManifest, readManifest, pruneBackups } from "./services/backup.js";
+import { readLocalTheme, readRemoteTheme, compareThemes, isEmptyChangeset, printChangeset, recurseFolder, unifiedDiff, extractThemeArchive, entryDestination, backupFilename } from "./services/sync.js";
 
-import { withCurrentStore } from "./middleware.js";
-import { validateThemeReference, validationCollector } from "./input.js";
-import { widetable, assembleTable, timeAgo } from "./output.js";
+import { withCurrentStore, requireCredentials, reportError } from "./middleware.js";
+import { validateStoreDomain, validateThemeTarget, validateInitialSync, validateJournalMode, validatePort, validateConflictMode, validateThemeReference, validateMilliseconds, validateCount, validationCollector } from "./input.js";
+import { printRecords, formatTimeAgo, formatDateTime, showsProgress } from "./output.js";
 
 const streamPipeline = promisify(pipeline);
 
-function assembleThemesTable(themes) {
-  const header = ["id", "name", "status", "parent", "version", "last updated", "installed", "author", "lang"];
-  const rows = themes.map((theme) => ({
+const IMPORT_TIMEOUT = 5 * 60 * 1000;
+const IMPORT_POLL_INTERVAL = 2000;
+const DIFF_EXIT_CODE = 2;
+
+const THEMES_HEADER = {
+  id: "id",
+  name: "name",
+  status: "status",
+  parent: "parent",
+  version: "version",
+  updated_at: "last updated",
+  created_at: "installed",
+  author: "author",
+  language: "lang",
+};
+
+function printThemes(themes) {
+  const records = themes.map((theme) => ({
     id: theme.id,
     name: theme.name,
     status: theme.in_use ? "active" : "",
     parent: theme.parent,
     version: theme.version,
-    "last updated": theme.updated_at && timeAgo(theme.updated_at * 1000),
-    installed: theme.created_at && new Date(theme.created_at * 1000).toLocaleString(),
+    updated_at: theme.updated_at && formatTimeAgo(theme.updated_at * 1000),
+    created_at: theme.created_at && formatDateTime(theme.created_at * 1000),
     author: theme.author,
-    lang: theme.language,
+    language: theme.language,
   }));
-  return assembleTable(header, rows);
+  printRecords(THEMES_HEADER, records);
 }
 
-function temporaryFilename(extension) {
-  return path.join(os.tmpdir(), `jumpseller-${Date.now()}${extension}`);
+async function findTheme(api, id) {
+  const response = await api.get("/v1/themes/list", {});
+  const themes = await response.json();
+  const theme = themes.find((theme) => theme.id === id);
+
+  if (!theme) {
+    printThemes(themes);
+    throw new NotFoundError(format("Theme %s not found in %s", id, api.store), { store: api.store });
+  }
+  return theme;
 }
 
-async function fetchPresigned(api) {
-  const response = await api.get("v1/themes/presigned_for_import");
-  return response.json();
+function requireThemeId(id) {
+  if (id) return id;
+  throw new InvalidArgumentError(`No theme id given, and no theme set in ${PROJECT_FILE}`);
 }
 
-function submitFormData(formData, url) {
-  return new Promise((resolve, reject) => {
-    formData.submit(url, (err, res) => {
-      if (err) return reject(err);
-      resolve(res);
-    });
-  });
+/**
+ * Reword a not found error from a request on a single theme.
+ */
+function themeNotFound(id, store) {
+  return (error) => {
+    if (error instanceof NotFoundError) error.message = format("Theme %s not found in %s", id, store);
+    throw error;
+  };
+}
+
+/**
+ * Read the local and installed versions of a theme, limited to the files
+ * the watcher would process and not excluded by .jumpsellerignore.
+ */
+async function readThemeVersions(watcher, folder, target = watcher.targets[0]) {
+  if (!fs.statSync(folder, { throwIfNoEntry: false })?.isDirectory()) {
+    throw new InvalidArgumentError(`Theme folder ${path.resolve(folder)} does not exist`);
+  }
+  const ignore = ThemeIgnore.load(folder);
+  const filter = (relativePath) => watcher.isKnownPath(relativePath) && !ignore.ignores(relativePath);
+  const local = readLocalTheme(folder, filter, ignore);
+  const remote = await readRemoteTheme(target.api, target.id, filter);
+  return [local, remote];
 }
 
-function recurseFolder(prefixPath, currentPath, callback) {
-  for (const entry of fs.readdirSync(currentPath, { withFileTypes: true })) {
-    const zipPath = path.join(prefixPath, entry.name);
-    const fsPath = entry.isSymbolicLink()
-      ? fs.realpathSync(path.join(currentPath, entry.name))
-      : path.join(currentPath, entry.name);
+/**
+ * Send a changeset to a target. Oversized files abort the push before
+ * anything is sent.
+ */
+async function pushChanges(target, local, changes) {
+  const writes = changes.added.concat(changes.changed);
+  writes.forEach((relativePath) => checkUploadSize(relativePath, local.get(relativePath).length));
+  for (const paths of chunks(writes, SYNC_BATCH_SIZE)) {
+    const body = await target.writeFiles(paths.map((relativePath) => [relativePath, local.get(relativePath)]));
+    if (body.error) throw new Error(`Failed to push ${paths.length} files to ${target.label}`);
+  }
+  for (const paths of chunks(changes.deleted, SYNC_BATCH_SIZE)) {
+    const body = await target.unlinkBulk(paths);
+    if (body.error) throw new Error(`Failed to delete ${paths.length} files from ${target.label}`);
+  }
+}
 
-    if (fs.statSync(fsPath).isDirectory()) {
-      recurseFolder(zipPath, fsPath, callback);
-    } else {
-      callback(zipPath, fsPath);
-    }
+function pullChanges(folder, remote, changes) {
+  for (const relativePath of changes.added.concat(changes.changed)) {
+    const fullpath = entryDestination(folder, relativePath);
+    fs.mkdirSync(path.dirname(fullpath), { recursive: true });
+    fs.writeFileSync(fullpath, remote.get(relativePath));
   }
+  for (const relativePath of changes.deleted) {
+    fs.rmSync(entryDestination(folder, relativePath), { force: true });
+  }
+}
+
+function chunks(array, size) {
+  const result = [];
+  for (let i = 0; i < array.length; i += size) result.push(array.slice(i, i + size));
+  return result;
+}
+
+function temporaryFilename(extension) {
+  return path.join(os.tmpdir(), `jumpseller-${Date.now()}-${Math.random().toString(36).slice(2)}${extension}`);
 }
 
 /**
- * Zip the entire folder at the given path, including hidden files,
- * and return the path to the resulting zip file in a temporary directory.
+ * List the files to package from a theme folder, as pairs of archive path
+ * and filesystem path, leaving out those excluded by .jumpsellerignore.
+ */
+function listPackagedFiles(folderPath) {
+  const ignore = ThemeIgnore.load(folderPath);
+  const files = [];
+  recurseFolder(".", folderPath, (zipPath, fsPath) => files.push([zipPath, fsPath]), (relativePath, isDirectory) => {
+    return ignore.ignores(relativePath, isDirectory);
+  });
+  return files;
+}
+
+/**
+ * Zip the packaged files of the folder at the given path and return the path
+ * to the resulting zip file in a temporary directory.
  */
 function zipFolder(folderPath) {
   const outputPath = temporaryFilename(".zip");
@@ -83,7 +166,7 @@ function zipFolder(folderPath) {
     archive.on("error", reject);
     archive.pipe(output);
 
-    recurseFolder(".", folderPath, (zipPath, fsPath) => {
+    listPackagedFiles(folderPath).forEach(([zipPath, fsPath]) => {
       archive.file(fsPath, { name: zipPath });
     });
 
@@ -91,42 +174,86 @@ function zipFolder(folderPath) {
   });
 }
 
-function unzipFolder(zipPath, outputPath) {
-  return new Promise((resolve, reject) => {
-    fs.createReadStream(zipPath)
-      .pipe(unzipper.Extract({ path: outputPath }))
-      .on("close", () => {
-        console.log("Extraction complete.");
-        resolve();
-      })
-      .on("error", (err) => {
-        console.error("Error during extraction:", err);
-        reject(err);
-      });
+function formatBytes(bytes) {
+  return bytes < 1048576 ? `${(bytes / 1024).toFixed(0)}KB` : `${(bytes / 1048576).toFixed(1)}MB`;
+}
+
+/**
+ * Count bytes flowing through a download, redrawing a progress line on
+ * stderr when it is a terminal, so it never mixes with command output.
+ */
+function downloadProgress(total) {
+  let received = 0;
+  const progress = showsProgress(process.stderr);
+  const draw = () => {
+    const percent = total ? ` ${Math.floor((received / total) * 100)}%` : "";
+    process.stderr.write(`\r\u001b[KDownloading...${percent} (${formatBytes(received)})`);
+  };
+
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      received += chunk.length;
+      if (progress) draw();
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (progress) process.stderr.write("\n");
+      callback();
+    },
   });
 }
 
+async function downloadTheme(api, id, zipFile) {
+  const response = await api.post("/v1/themes/export", { theme: id });
+  const total = +response.headers.get("content-length") || 0;
+  try {
+    await streamPipeline(response.body, downloadProgress(total), fs.createWriteStream(zipFile));
+  } catch (error) {
+    fs.rmSync(zipFile, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Ask what to do with a local file that differs from the exported theme.
+ * An uppercase answer applies to every remaining conflict.
+ */
+function promptForConflict() {
+  let remembered;
+  return (relativePath) => {
+    if (remembered) return remembered;
+    if (!process.stdin.isTTY) {
+      throw new InvalidArgumentError(`${relativePath} already exists, use --on-conflict to choose how to handle existing files`);
+    }
+    const answer = readline.keyIn(`${relativePath} differs locally. Overwrite (y), skip (n) or back up and overwrite (b)? Uppercase for all: `, {
+      limit: "ynbYNB",
+      caseSensitive: true,
+    });
+    const action = { y: "overwrite", n: "skip", b: "backup" }[answer.toLowerCase()];
+    if (answer !== answer.toLowerCase()) remembered = action;
+    return action;
+  };
+}
+
+function conflictResolver(onConflict) {
+  return onConflict === "prompt" ? promptForConflict() : () => onConflict;
+}
+
 const list = withCurrentStore(async function list() {
   const store = Auth.currentStore();
   const api = new Api(store);
   const response = await api.get("/v1/themes/list", {});
   const themes = await response.json();
 
-  console.info(widetable(assembleThemesTable(themes)));
+  printThemes(themes);
 });
 
 const apply = withCurrentStore(async function apply(id) {
   const store = Auth.currentStore();
   const api = new Api(store);
 
-  const response = await api.put("/v1/themes/apply", { theme: id });
-  if (response.ok) {
-    console.info("Theme %s successfully applied", id);
-  } else if (response.status === 404) {
-    console.info("Theme %s not found in %s", id, store);
-  } else {
-    console.error("Theme %s: Unexpected error", id, response);
-  }
+  await api.put("/v1/themes/apply", { theme: id }).catch(themeNotFound(id, store));
+  console.info("Theme %s successfully applied", id);
 });
 
 const remove = withCurrentStore(async function remove(ids) {
@@ -134,13 +261,11 @@ const remove = withCurrentStore(async function remove(ids) {
   const api = new Api(store);
 
   const responses = [...new Set(ids)].map(async (id) => {
-    const response = await api.delete("/v1/themes", { theme: id });
-    if (response.ok) {
+    try {
+      await api.delete("/v1/themes", { theme: id }).catch(themeNotFound(id, store));
       console.info("Theme %s successfully deleted", id);
-    } else if (response.status === 404) {
-      console.info("Theme %s not found in %s", id, store);
-    } else {
-      console.error("Theme %s: Unexpected error", id, response);
+    } catch (error) {
+      reportError(error);
     }
   });
   await Promise.all(responses);
@@ -154,112 +279,550 @@ const rename = withCurrentStore(async function rename(id, name) {
   if (!name) throw new InvalidArgumentError("New name is required");
   if (name.length > 65) throw new InvalidArgumentError("Name is too long (max 65 characters)");
 
-  const response = await api.put("/v1/themes/update_fields", { theme: id, name });
-  if (response.ok) {
-    console.info("Theme %s successfully renamed", id);
-  } else if (response.status === 404) {
-    console.info("Theme %s not found in %s", id, store);
-  } else {
-    console.error("Theme %s: Unexpected error", id, response);
-  }
+  await api.put("/v1/themes/update_fields", { theme: id, name }).catch(themeNotFound(id, store));
+  console.info("Theme %s successfully renamed", id);
 });
 
+function promptForInitialSync() {
+  if (!process.stdin.isTTY) {
+    console.info("Not syncing in a non-interactive session, use --initial push or --initial pull");
+    return "none";
+  }
+  const answer = readline.keyIn("Push the local files (p), pull the installed files (l) or watch as is (n)? ", { limit: "pln" });
+  return { p: "push", l: "pull", n: "none" }[answer];
+}
+
+/**
+ * Pushing drift deletes the installed files missing locally, which wipes a
+ * theme when run from the wrong folder, so deletions need --yes or an
+ * explicit confirmation. Declining pushes without deleting anything.
+ */
+function confirmDeletes(drift, yes) {
+  const deleted = drift.reduce((count, { changes }) => count + changes.deleted.length, 0);
+  if (deleted === 0 || yes) return true;
+  if (!process.stdin.isTTY) {
+    throw new InvalidArgumentError(`--initial push would delete ${deleted} installed files, use --yes to confirm`);
+  }
+  return readline.keyInYN(format("Delete %d installed files missing from the folder?", deleted));
+}
+
+/**
+ * Compare the folder with every target before watching, so that edits made
+ * while the watcher was not running are not lost, and push or pull the
+ * drift. Pulling always reads from the first target.
+ */
+async function reconcile(watcher, folder, { initial: mode, yes }) {
+  if (mode === "none") return;
+
+  const drift = [];
+  for (const target of watcher.targets) {
+    const [local, remote] = await readThemeVersions(watcher, folder, target);
+    const changes = compareThemes(local, remote);
+    if (isEmptyChangeset(changes)) continue;
+    console.info("=== %s differs from theme %s:", path.resolve(folder), target.label);
+    printChangeset(changes);
+    drift.push({ target, local, remote, changes });
+  }
+  if (drift.length === 0) return console.info("=== %s is up to date", path.resolve(folder));
+
+  if (mode === "prompt") mode = promptForInitialSync();
+  if (mode === "push") {
+    const deletes = confirmDeletes(drift, yes);
+    for (const { target, local, changes } of drift) {
+      await pushChanges(target, local, deletes ? changes : { ...changes, deleted: [] });
+      console.info("Theme %s updated from %s", target.label, path.resolve(folder));
+    }
+  } else if (mode === "pull") {
+    const primary = drift.find(({ target }) => target === watcher.targets[0]);
+    if (primary) {
+      pullChanges(folder, primary.remote, compareThemes(primary.remote, primary.local));
+      console.info("%s updated from theme %s", path.resolve(folder), primary.target.label);
+    }
+    const others = drift.filter(({ target }) => target !== watcher.targets[0]);
+    if (others.length > 0) {
+      console.info("=== Pulled from %s only, %d other targets still differ", watcher.targets[0].label, others.length);
+    }
+  }
+}
+
+/**
+ * Ask a yes or no question without blocking the event loop, so the watcher
+ * keeps handling file events and uploads while waiting for an answer.
+ * Without a terminal the answer is no.
+ */
+async function askYesNo(question) {
+  if (!process.stdin.isTTY) return false;
+  const prompt = createInterface({ input: process.stdin, output: process.stdout });
+  prompt.once("SIGINT", () => {
+    prompt.close();
+    process.emit("SIGINT");
+  });
+  try {
+    return /^y(es)?$/i.test((await prompt.question(`${question} [y/n]: `)).trim());
+  } catch {
+    return false;
+  } finally {
+    prompt.close();
+  }
+}
+
+/**
+ * Decide what to do with operations left in a journal by a previous run.
+ * Without a terminal to ask, they are kept and replayed.
+ */
+function shouldDiscardJournal(mode) {
+  if (mode !== "prompt") return mode === "discard";
+  if (!process.stdin.isTTY) {
+    console.info("Replaying them, use --journal discard to drop them instead");
+    return false;
+  }
+  return !readline.keyInYN("Replay them now?");
+}
+
 const watch = withCurrentStore(async function watch(id, folder, options) {
-  if (options.unsafe) options.allow.push(...WATCH_UNSAFE_FILES);
+  if (options.unsafe) options.allow = options.allow.concat(WATCH_UNSAFE_FILES);
   folder ||= ".";
 
   const store = Auth.currentStore();
-  const api = new Api(store);
-  const response = await api.get("/v1/themes/list", {});
-  const themes = await response.json();
-  const theme = themes.find((theme) => theme.id === id);
+  const theme = await findTheme(new Api(store), requireThemeId(id));
+  const confirmGitSync = (paths) => askYesNo(format("Sync %d changed files to the installed themes?", paths.length));
+  const watcher = new ThemeWatcher(store, theme.id, { ...options, confirmGitSync });
 
-  if (!theme) {
-    console.info(widetable(assembleThemesTable(themes)));
-    console.error("Theme %s not found in %s", id, store);
-    return;
+  for (const target of options.target) {
+    target.store ||= store;
+    if (watcher.targets.some(({ store, id }) => store === target.store && id === target.theme)) continue;
+    requireCredentials(target.store);
+    await findTheme(new Api(target.store), target.theme);
+    watcher.addTarget(target.store, target.theme);
   }
 
-  const watcher = new ThemeWatcher(store, theme.id, options);
+  for (const target of watcher.targets) {
+    const journal = target.openJournal(folder);
+    if (journal.size === 0) continue;
+    console.info("%d operations from a previous run failed to reach theme %s:", journal.size, target.label);
+    journal.operations.forEach(({ action, path, error }) => console.info("  %s %s (%s)", action.toUpperCase(), path, error));
+    if (shouldDiscardJournal(options.journal)) journal.clear();
+  }
+  await reconcile(watcher, folder, options);
   await watcher.watch(folder);
 });
 
-const exportTheme = withCurrentStore(async function exportTheme(id, filename) {
+const exportTheme = withCurrentStore(async function exportTheme(id, filename, options) {
   const store = Auth.currentStore();
   const api = new Api(store);
-  const response = await api.get("/v1/themes/list", {});
-  const themes = await response.json();
-  const theme = themes.find((theme) => theme.id === id);
+  await findTheme(api, requireThemeId(id));
 
-  if (!theme) {
-    console.info(widetable(assembleThemesTable(themes)));
-    console.error("Theme %s not found in %s", id, store);
-    return;
+  filename ||= `theme-${id}.zip`;
+  const resolveConflict = conflictResolver(options.onConflict);
+
+  let action;
+  if (filename.endsWith(".zip") && fs.existsSync(filename)) {
+    action = await resolveConflict(filename);
+    if (action === "skip") return console.info("Kept existing %s", filename);
   }
 
   const zipFile = temporaryFilename(".zip");
-  filename ||= `theme-${id}.zip`;
-
   try {
-    const response = await api.post("/v1/themes/export", { theme: id });
-    if (!response.ok) {
-      throw new Error(`Unexpected response ${response.statusText}`);
+    await downloadTheme(api, id, zipFile);
+
+    if (filename.endsWith(".zip")) {
+      // Only move the existing zip away once its replacement is downloaded
+      if (action === "backup") fs.renameSync(filename, backupFilename(filename));
+      fs.copyFileSync(zipFile, filename);
+      console.info("Theme folder downloaded to %s", filename);
+    } else {
+      const summary = await extractThemeArchive(zipFile, filename, resolveConflict);
+      console.info(
+        "Theme folder downloaded and extracted to %s (%d written, %d unchanged, %d skipped, %d backed up)",
+        filename, summary.written, summary.unchanged, summary.skipped, summary.backedUp,
+      );
     }
-    await streamPipeline(response.body, fs.createWriteStream(zipFile));
-  } catch (error) {
-    console.error("Error downloading or saving the file:", error);
+  } finally {
+    fs.rmSync(zipFile, { force: true });
   }
+});
 
-  if (filename.endsWith(".zip")) {
-    fs.renameSync(zipFile, filename);
-    console.info("Theme folder downloaded to %s", filename);
-  } else {
-    await unzipFolder(zipFile, filename);
-    console.info("Theme folder downloaded and extracted to %s", filename);
-  }
+const push = withCurrentStore(async function push(id, folder, options) {
+  if (options.unsafe) options.allow = options.allow.concat(WATCH_UNSAFE_FILES);
+  folder ||= ".";
+
+  const store = Auth.currentStore();
+  const api = new Api(store);
+  const theme = await findTheme(api, requireThemeId(id));
+
+  const watcher = new ThemeWatcher(store, theme.id, options);
+  const [local, remote] = await readThemeVersions(watcher, folder);
+  const changes = compareThemes(local, remote);
+
+  printChangeset(changes);
+  if (options.dryRun || isEmptyChangeset(changes)) return;
+
+  await pushChanges(watcher.targets[0], local, changes);
+  console.info("Theme %s updated from %s", theme.id, path.resolve(folder));
 });
 
-const importTheme = withCurrentStore(async function importTheme(folder) {
+const pull = withCurrentStore(async function pull(id, folder, options) {
+  if (options.unsafe) options.allow = options.allow.concat(WATCH_UNSAFE_FILES);
+  folder ||= ".";
+
   const store = Auth.currentStore();
   const api = new Api(store);
+  const theme = await findTheme(api, requireThemeId(id));
+
+  if (!options.dryRun) fs.mkdirSync(folder, { recursive: true });
+  const watcher = new ThemeWatcher(store, theme.id, options);
+  const [local, remote] = await readThemeVersions(watcher, folder);
+  const changes = compareThemes(remote, local);
+
+  printChangeset(changes);
+  if (options.dryRun || isEmptyChangeset(changes)) return;
+
+  pullChanges(folder, remote, changes);
+  console.info("%s updated from theme %s", path.resolve(folder), theme.id);
+});
+
+const diff = withCurrentStore(async function diff(id, folder, options) {
+  if (options.unsafe) options.allow = options.allow.concat(WATCH_UNSAFE_FILES);
+  folder ||= ".";
+
+  const store = Auth.currentStore();
+  const api = new Api(store);
+  const theme = await findTheme(api, requireThemeId(id));
+
+  const watcher = new ThemeWatcher(store, theme.id, options);
+  const [local, remote] = await readThemeVersions(watcher, folder);
+  const { added, changed, deleted } = compareThemes(local, remote);
+
+  const paths = added.concat(changed, deleted).sort();
+  if (!options.stat) {
+    paths.forEach((relativePath) => process.stdout.write(unifiedDiff(relativePath, remote.get(relativePath), local.get(relativePath))));
+  }
+  console.info("%d added, %d removed, %d modified", added.length, deleted.length, changed.length);
+  if (paths.length > 0) process.exitCode = DIFF_EXIT_CODE;
+});
+
+/**
+ * Print diagnostics for a theme folder and return whether it has errors.
+ */
+function reportThemeCheck(folder, label = path.resolve(folder)) {
+  const diagnostics = checkTheme(folder);
+  const errors = diagnostics.filter(({ severity }) => severity === "error").length;
+  diagnostics.forEach((diagnostic) => console.info(formatDiagnostic(diagnostic)));
+  console.info("%d errors, %d warnings in %s", errors, diagnostics.length - errors, label);
+  return errors > 0;
+}
+
+function requireThemeCheck(folder, label) {
+  if (reportThemeCheck(folder, label)) throw new InvalidArgumentError("Theme check failed, not importing");
+}
+
+/**
+ * Run theme check on the contents of a zip archive, extracted to a
+ * temporary folder.
+ */
+async function requireArchiveCheck(zip) {
+  const extracted = fs.mkdtempSync(path.join(os.tmpdir(), "jumpseller-"));
+  try {
+    await extractThemeArchive(zip, extracted);
+    requireThemeCheck(extracted, zip);
+  } finally {
+    fs.rmSync(extracted, { recursive: true, force: true });
+  }
+}
+
+async function check(folder) {
+  if (reportThemeCheck(folder || ".")) process.exitCode = 1;
+}
+
+async function importTheme(source, options) {
+  source ||= ".";
+  if (!fs.existsSync(source)) throw new InvalidArgumentError(`${source} does not exist`);
+  if (options.list) {
+    if (options.ref || !fs.statSync(source).isDirectory()) throw new InvalidArgumentError("--list only applies to folders");
+    listPackagedFiles(source).forEach(([zipPath]) => console.info(zipPath));
+  } else {
+    await uploadTheme(source, options);
+  }
+}
+
+/**
+ * Package a theme folder from a git commit: the tree is exported, extracted
+ * to a temporary folder and zipped so .jumpsellerignore rules still apply.
+ * With check, theme check runs on the extracted tree.
+ */
+async function packageGitRef(folder, ref, { check } = {}) {
+  const gitRoot = GitObserver.findGitRoot(folder);
+  if (!gitRoot) throw new InvalidArgumentError(`${folder} is not inside a git repository`);
 
-  const zip = await zipFolder(folder);
-  const presigned = await fetchPresigned(api);
+  const archive = temporaryFilename(".zip");
+  const extracted = fs.mkdtempSync(path.join(os.tmpdir(), "jumpseller-"));
+  try {
+    try {
+      GitObserver.archive(gitRoot, ref, path.relative(gitRoot, path.resolve(folder)), archive);
+    } catch (error) {
+      throw new InvalidArgumentError(`Could not archive ${ref}: ${error.stderr?.toString().trim() || error.message}`);
+    }
+    await extractThemeArchive(archive, extracted);
+    if (check) requireThemeCheck(extracted, `${folder} at ${ref}`);
+    return await zipFolder(extracted);
+  } finally {
+    fs.rmSync(archive, { force: true });
+    fs.rmSync(extracted, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Resolve the zip archive to upload for an import source, which is either a
+ * zip file, a folder, or a folder at a git ref. Returns the path to the zip
+ * and whether it is a temporary file.
+ */
+async function packageTheme(source, options) {
+  if (options.ref) return [await packageGitRef(source, options.ref, options), true];
+  if (fs.statSync(source).isFile()) {
+    if (!source.endsWith(".zip")) throw new InvalidArgumentError("Expected a theme folder or a .zip file");
+    if (options.check) await requireArchiveCheck(source);
+    return [source, false];
+  }
+  if (options.check) requireThemeCheck(source);
+  return [await zipFolder(source), true];
+}
 
-  const filename = path.basename(zip).toString();
-  console.info("FOLDER %s | %s", folder, filename);
+async function fetchThemes(api) {
+  const response = await api.get("/v1/themes/list", {});
+  return response.json();
+}
 
-  const formData = new FormData();
-  Object.entries(presigned.fields).forEach(([key, value]) => {
-    formData.append(key, value);
+/**
+ * Poll the store until the imported theme shows up, as imports are processed
+ * asynchronously after the upload. The theme is found by the id the import
+ * returned, or else as the only theme not in knownIds; when other imports
+ * add themes meanwhile, there is no telling which one is ours.
+ */
+async function waitForImportedTheme(api, id, knownIds) {
+  const deadline = Date.now() + IMPORT_TIMEOUT;
+  while (Date.now() < deadline) {
+    const themes = await fetchThemes(api);
+    const added = id ? themes.filter((theme) => theme.id === id) : themes.filter((theme) => !knownIds.has(theme.id));
+    if (added.length > 1) {
+      throw new Error(`Themes ${added.map((theme) => theme.id).join(", ")} were added to ${api.store} while importing, cannot tell which one is the imported theme`);
+    }
+    if (added.length === 1) return added[0];
+    await new Promise((resolve) => setTimeout(resolve, IMPORT_POLL_INTERVAL));
+  }
+  throw new Error(`Timed out waiting for the imported theme to show up in ${api.store}`);
+}
+
+function validateThemeName(name) {
+  name = name?.trim();
+  if (name?.length > 65) throw new InvalidArgumentError("Name is too long (max 65 characters)");
+  return name;
+}
+
+/**
+ * Upload a theme zip through the presigned import flow, wait for the store
+ * to create the theme, then rename and apply it as requested.
+ * Resolves to the created theme.
+ */
+async function importArchive(api, zip, { name, apply } = {}) {
+  const knownIds = new Set((await fetchThemes(api)).map((theme) => theme.id));
+  const filename = await uploadPresigned(api, fs.createReadStream(zip), path.basename(zip));
+
+  const params = {};
+  const response = await api.post("v1/themes/presigned_import", params, {
+    filename,
+    source: null,
   });
-  formData.append("file", fs.createReadStream(zip), filename);
+  const imported = await response.json().catch(() => ({}));
+
+  console.info("Waiting for the import to complete on %s...", api.store);
+  const theme = await waitForImportedTheme(api, imported?.id ?? imported?.theme?.id, knownIds);
 
-  const upload = await submitFormData(formData, presigned.url);
-  if (upload.statusCode !== 200) {
-    throw new Error(`[Upload error] status ${upload.statusCode}`);
+  if (name) {
+    await api.put("/v1/themes/update_fields", { theme: theme.id, name });
+    console.info("Theme %s renamed to %s", theme.id, name);
   }
+  if (apply) {
+    await api.put("/v1/themes/apply", { theme: theme.id });
+    console.info("Theme %s applied", theme.id);
+  }
+  return theme;
+}
 
+const uploadTheme = withCurrentStore(async function uploadTheme(source, options) {
+  const store = Auth.currentStore();
+  const api = new Api(store);
+  const name = validateThemeName(options.name);
+
+  const [zip, temporary] = await packageTheme(source, options);
+  let theme;
   try {
-    const params = {};
-    const response = await api.post("v1/themes/presigned_import", params, {
-      filename,
-      source: null,
-    });
-    if (!response.ok) {
-      throw new Error(`Unexpected response ${response.statusText}`);
+    console.info("Uploading %s%s", source, options.ref ? ` at ${options.ref}` : "");
+    theme = await importArchive(api, zip, { name, apply: options.apply });
+  } finally {
+    if (temporary) fs.rmSync(zip, { force: true });
+  }
+  console.info("Theme successfully imported from %s as theme %s", source, theme.id);
+});
+
+async function copy(id, options) {
+  const from = options.from || Auth.currentStore();
+  const to = options.to;
+  if (!from) throw new InvalidArgumentError("No source store, use --from");
+  requireCredentials(from);
+  requireCredentials(to);
+  const name = validateThemeName(options.name);
+
+  const source = new Api(from);
+  const target = new Api(to);
+  const theme = await findTheme(source, id);
+
+  const zip = temporaryFilename(".zip");
+  let copied;
+  try {
+    console.info("Exporting theme %s (%s) from %s", theme.id, theme.name, from);
+    await downloadTheme(source, theme.id, zip);
+    console.info("Importing into %s", to);
+    copied = await importArchive(target, zip, { name: name || theme.name, apply: options.apply });
+  } finally {
+    fs.rmSync(zip, { force: true });
+  }
+  console.info("Theme %s from %s copied to %s as theme %s", theme.id, from, to, copied.id);
+}
+
+const backup = withCurrentStore(async function backup(ids, options) {
+  const store = Auth.currentStore();
+  const api = new Api(store);
+
+  ids ||= [];
+  if (!!options.all === ids.length > 0) throw new InvalidArgumentError("Give either theme ids or --all");
+
+  const themes = await fetchThemes(api);
+  const selected = options.all ? themes : ids.map((id) => themes.find((theme) => theme.id === id));
+  const missing = ids.filter((_id, i) => !selected[i]);
+  if (missing.length > 0) {
+    printThemes(themes);
+    throw new NotFoundError(format("Theme %s not found in %s", missing.join(", "), store), { store });
+  }
+
+  for (const theme of selected) {
+    const { archive, manifest } = backupPaths(options.dir, store, theme.id);
+    fs.mkdirSync(path.dirname(archive), { recursive: true });
+    await downloadTheme(api, theme.id, archive);
+    writeManifest(manifest, store, theme);
+    console.info("Theme %s (%s) backed up to %s", theme.id, theme.name, archive);
+
+    if (options.keep) {
+      pruneBackups(options.dir, store, theme.id, options.keep).forEach((pruned) => console.info("Removed old backup %s", pruned));
     }
-    console.info("Theme successfully imported from %s", folder);
-  } catch (error) {
-    console.error("Error importing theme:", error);
   }
 });
 
+const restore = withCurrentStore(async function restore(archive, options) {
+  if (!fs.existsSync(archive)) throw new InvalidArgumentError(`${archive} does not exist`);
+
+  const manifest = readManifest(archive);
+  if (manifest) console.info("Restoring theme %s (%s) backed up from %s", manifest.id, manifest.name, manifest.store);
+  await uploadTheme(archive, { name: options.name || manifest?.name, apply: options.apply });
+});
+
+async function serve(folder, options) {
+  folder ||= ".";
+  const fixtures = options.fixtures || path.join(folder, FIXTURES_FOLDER);
+  if (options.initFixtures) {
+    generateFixtures(fixtures).forEach((file) => console.info("Created fixture %s", file));
+  }
+
+  const server = new PreviewServer(folder, { fixtures });
+  const address = await server.listen(options.port, options.host);
+  console.info("=== Previewing %s on http://%s:%d", path.resolve(folder), options.host, address.port);
+  console.info("=== Fixtures are read from %s", path.resolve(fixtures));
+
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  await server.close();
+  console.info("Stopped preview server");
+}
+
+function configOptionValue(option, value) {
+  if (!option.required && !option.optional) {
+    if (typeof value === "boolean") return value;
+    throw new InvalidArgumentError(`Expected true or false, got ${JSON.stringify(value)}`);
+  }
+  if (!option.parseArg) return String(value);
+  if (Array.isArray(option.defaultValue)) return [].concat(value).reduce((previous, arg) => option.parseArg(String(arg), previous), option.defaultValue);
+  return option.parseArg(String(value), undefined);
+}
+
+/**
+ * Fill in the theme id, folder and options a command was not given from the
+ * jumpseller.json of the current project. Top level allow and block patterns
+ * apply to every command taking them, and a section named after the command
+ * holds its own defaults, such as { "watch": { "debounce": 500 } }. Options
+ * given on the command line win, except list options such as --allow and
+ * --block, where the project and the command line both add to the default
+ * values, so the default blocklist always applies.
+ */
+function applyProjectConfig(command) {
+  const project = loadProject();
+  if (!project) return;
+  const { config, file } = project;
+
+  const args = command.registeredArguments.map((argument) => argument.name());
+  const themeIndex = args.indexOf("theme-id");
+  const folderIndex = args.findIndex((name) => name === "folder" || name === "source");
+  const invalid = (key, message) => new ProjectError(`Invalid ${key} in ${file}: ${message}`);
+
+  if (themeIndex >= 0 && command.processedArgs[themeIndex] === undefined && config.theme !== undefined) {
+    try {
+      command.processedArgs[themeIndex] = validateThemeReference(String(config.theme));
+    } catch (error) {
+      throw invalid("theme", error.message);
+    }
+  }
+  if (folderIndex >= 0 && command.processedArgs[folderIndex] === undefined && command.name() !== "export") {
+    command.processedArgs[folderIndex] = path.relative(process.cwd(), project.sourceFolder) || ".";
+  }
+
+  const section = config[command.name()] ?? {};
+  if (typeof section !== "object" || Array.isArray(section)) throw invalid(command.name(), "expected an object");
+  const settings = Object.entries({ allow: config.allow, block: config.block }).filter(([, value]) => value !== undefined);
+  const values = new Map();
+  for (const [key, value] of settings.concat(Object.entries(section))) {
+    const name = key.replace(/-(\w)/g, (_, letter) => letter.toUpperCase());
+    const option = command.options.find((option) => option.attributeName() === name);
+    if (!option) {
+      if (key in section) throw invalid(`${command.name()}.${key}`, "unknown option");
+      continue;
+    }
+    try {
+      values.set(option, configOptionValue(option, value));
+    } catch (error) {
+      throw invalid(key in section ? `${command.name()}.${key}` : key, error.message);
+    }
+  }
+
+  for (const [option, value] of values) {
+    const name = option.attributeName();
+    if (command.getOptionValueSource(name) !== "cli") {
+      command.setOptionValueWithSource(name, value, "config");
+    } else if (Array.isArray(option.defaultValue)) {
+      const added = command.getOptionValue(name).slice(option.defaultValue.length);
+      command.setOptionValueWithSource(name, value.concat(added), "cli");
+    }
+  }
+}
+
 const SUMMARY = "Manage themes in a store";
 const HELP = `${SUMMARY}.
 
 Themes are referenced by their integer id.
 This id can be found in the URL of the editors, for example: /admin/themes/editor/654321
+
+Inside a project with a jumpseller.json file (see \`jumpseller init\`), the
+watch, push, pull, diff, export and import commands default to the theme,
+folder and options it sets, so they can be run without arguments.
 `.trim();
 
 const program = new Command("theme");
@@ -292,44 +855,240 @@ program
 
 program
   .command("export")
-  .description("Export an installed theme to a local zip")
-  .argument("<theme-id>", "Theme id", validateThemeReference)
+  .description("Export an installed theme to a local zip or folder")
+  .option("--on-conflict <mode>", "How to handle existing files: overwrite, skip, prompt or backup", validateConflictMode, "prompt")
+  .argument("[theme-id]", `Theme id (default: theme in ${PROJECT_FILE})`, validateThemeReference)
   .argument("[folder]", "Folder or zip filename to save exported theme")
+  .hook("preAction", applyProjectConfig)
   .action(exportTheme);
 
+const IMPORT_HELP = `Import a theme into a store as a new theme.
+
+The theme can be a local folder, an existing .zip file, or a folder as of a
+git commit with --ref, packaged from a clean tree regardless of local edits.
+Once uploaded, waits for the store to process the import and prints the id
+of the new theme, which can be renamed (--name) and applied (--apply).
+With --check, theme check runs first on the folder, the contents of the
+.zip file or the tree at --ref, and the import is aborted on errors.
+
+A .jumpsellerignore file at the root of the folder can exclude files from
+the package, with the same syntax as .gitignore. Version control folders,
+node_modules, editor swap files and .jumpseller-* files are excluded by
+default, which negated patterns (!pattern) can override.
+`.trim();
+
 program
   .command("import")
-  .description("Import a local theme folder into a store")
-  .argument("<folder>", "Folder to import")
+  .summary("Import a theme folder or zip into a store")
+  .description(IMPORT_HELP)
+  .option("--ref <git-ref>", "Package the folder as of a git commit, branch or tag")
+  .option("--name <name>", "Rename the imported theme")
+  .option("--apply", "Set the imported theme as active")
+  .option("--check", "Run theme check first and abort on errors")
+  .option("--list", "List the files that would be packaged without importing")
+  .argument("[source]", `Folder or .zip file to import (default: folder in ${PROJECT_FILE}, or .)`)
+  .hook("preAction", applyProjectConfig)
   .action(importTheme);
 
+const CHECK_HELP = `Validate a local theme folder before importing or watching it.
+
+Checks the theme layout (partials/, components/, templates/, assets/ and
+config/), parses JSON files in components/ and config/, looks for unbalanced
+Liquid block tags and includes of missing partials, and flags oversized
+assets. Only those folders are checked, and files excluded by
+.jumpsellerignore are left out. Prints file:line diagnostics and exits with
+status 1 on errors.
+`.trim();
+
+program
+  .command("check")
+  .summary("Validate a local theme folder")
+  .description(CHECK_HELP)
+  .argument("[folder]", "Theme folder (default .)")
+  .action(check);
+
+const SERVE_HELP = `Preview a local theme folder in the browser.
+
+Renders templates/, partials/ and components/ with a local Liquid engine
+and serves assets/ statically. The home page renders templates/home.liquid,
+/products/<permalink> renders templates/product.liquid and any other path
+renders the template of the same name, wrapped in templates/layout.liquid
+when it exists.
+
+Store, product, products and cart objects come from JSON fixture files in
+${FIXTURES_FOLDER}/ (or --fixtures), one global per file, and can be
+generated with --init-fixtures. Pages reload when theme or fixture files
+change, watching the same files as theme watch, so files excluded by
+.jumpsellerignore never trigger a reload. The preview only approximates
+what the store renders.
+`.trim();
+
+program
+  .command("serve")
+  .summary("Preview a local theme with fixture data")
+  .description(SERVE_HELP)
+  .option("-p, --port <port>", "Port to listen on", validatePort, 3000)
+  .option("--host <host>", "Interface to listen on", "localhost")
+  .option("--fixtures <folder>", `Folder with fixture JSON files (default: <folder>/${FIXTURES_FOLDER})`)
+  .option("--init-fixtures", "Create default fixture files that do not exist yet")
+  .argument("[folder]", "Theme folder (default .)")
+  .action(serve);
+
+const COPY_HELP = `Copy an installed theme to another store, or within a store.
+
+The theme is exported from the source store and imported into the target
+store as a new theme, using the stored credentials of each store. The
+source store defaults to the current store, and the copy keeps the name
+of the original theme unless --name is given.
+`.trim();
+
+program
+  .command("copy")
+  .summary("Copy a theme between stores")
+  .description(COPY_HELP)
+  .requiredOption("--to <store>", "Store to copy the theme into", validateStoreDomain)
+  .option("--from <store>", "Store to copy the theme from (default: current store)", validateStoreDomain)
+  .option("--name <name>", "Name for the copied theme")
+  .option("--apply", "Set the copied theme as active in the target store")
+  .argument("<theme-id>", "Theme id in the source store", validateThemeReference)
+  .action(copy);
+
+const BACKUP_HELP = `Back up installed themes to timestamped archives.
+
+Archives are written to <dir>/<store>/theme-<id>-<timestamp>.zip, next to a
+manifest with the theme name, version, parent and whether it was in use.
+With --keep, only the newest backups of each theme are kept.
+`.trim();
+
+program
+  .command("backup")
+  .summary("Back up installed themes to timestamped archives")
+  .description(BACKUP_HELP)
+  .option("--all", "Back up every theme in the store")
+  .option("--dir <path>", "Folder where backups are stored", "jumpseller-backups")
+  .option("--keep <count>", "Number of backups to keep per theme", validateCount)
+  .argument("[theme-id...]", "Theme id", validationCollector(validateThemeReference))
+  .action(backup);
+
+program
+  .command("restore")
+  .description("Import a theme backup as a new theme")
+  .option("--name <name>", "Name for the restored theme (default: name in the backup manifest)")
+  .option("--apply", "Set the restored theme as active")
+  .argument("<archive>", "Backup archive")
+  .action(restore);
+
 const WATCH_SUMMARY = "Mirror local edits to an installed theme";
 const WATCH_HELP = `${WATCH_SUMMARY}.
 
 Listen for fs write events to schema files in the local theme folder and
 issue corresponding schema edit events to a designated installed theme.
 
-This command is git-aware. If an fs write operation detected appears to
-have been the result of a git operation (such as git stash, git switch,
-git pull and so on) it will exit with an error to avoid triggering an
-unintentional bulk write to the installed theme. This is not very robust
-yet, so please exercise caution.
+This command is git-aware. When HEAD, the branch or the stash moves, or a
+merge, rebase or cherry-pick is in progress, uploads are paused instead of
+sending every file git touches one by one. Once the operation has finished,
+the files that changed are listed and can be synced in a single batch.
+Declined changes are held and offered again after the next git operation.
+
+Before listening, the folder is compared with the installed theme so that
+edits made while the watcher was not running, locally or in the admin
+editor, are not lost. Any drift is listed and then pushed, pulled or left
+as is, as chosen interactively or with --initial. Without a terminal the
+default is to leave it as is. Pushing deletes installed files missing from
+the folder only once confirmed, or with --yes. Pulling only reads from the
+first theme; with --target, the other themes keep their differences.
+
+Events are coalesced per file over a short debounce window (--debounce)
+and sent together in batches. Each batch waits for the previous one to
+complete, so edits reach the installed theme in the order they were made.
 
 Options --allow, --block and --unsafe can be used to control which files
 should be processed or ignored. By default writes to components/*.json
-are blocked as they can be quite destructive.
+are blocked as they can be quite destructive. Files excluded by a
+.jumpsellerignore file at the root of the folder are always ignored.
+
+Text files are sent through the theme file API. Binary files such as
+images and fonts, which it does not accept, are packed into a small archive
+imported into the installed theme, replacing only those files. Files larger
+than 5MB are rejected.
+
+Use --target to mirror the folder to more installed themes at once, given
+as <store>:<theme-id> or as a theme id in the current store. Each target
+has its own credentials and its own queue, so a failing target does not
+hold back the others, and the log prefixes every result with the target.
+
+Operations that fail to reach a target are recorded in a .jumpseller-journal
+file in the theme folder and retried with backoff while watching. Operations
+still pending on the next start are replayed or discarded, as chosen
+interactively or with --journal. Without a terminal they are replayed.
 `.trim();
 const WATCH_UNSAFE_FILES = ["components/*.json"];
+const SYNC_BATCH_SIZE = 50;
 
-program
-  .command("watch")
+const patternOptions = (command) =>
+  command
+    .option("--block <pattern>", "Blocklist pattern (put globs inside quotes)", validationCollector((arg) => arg), WATCH_UNSAFE_FILES)
+    .option("--allow <pattern>", "Allowlist pattern (put globs inside quotes)", validationCollector((arg) => arg), [])
+    .option("--unsafe", "Shorthand for allowing all known unsafe file patterns");
+
+patternOptions(program.command("watch"))
   .summary(WATCH_SUMMARY)
   .description(WATCH_HELP)
-  .option("--block <pattern>", "Blocklist pattern (put globs inside quotes)", validationCollector((arg) => arg), WATCH_UNSAFE_FILES)
-  .option("--allow <pattern>", "Allowlist pattern (put globs inside quotes)", validationCollector((arg) => arg), [])
-  .option("--unsafe", "Shorthand for allowing all known unsafe file patterns")
-  .argument("<theme-id>", "Theme id", validateThemeReference)
-  .argument("[folder]", "Folder to watch (default .)")
+  .option("--debounce <ms>", "Wait this long for more events before sending a batch", validateMilliseconds, 300)
+  .option("--initial <mode>", "Reconcile drift before watching: push, pull, none or prompt", validateInitialSync, "prompt")
+  .option("-y, --yes", "Delete installed files missing locally when reconciling with push")
+  .option("--journal <mode>", "Operations pending from a previous run: replay, discard or prompt", validateJournalMode, "prompt")
+  .option("--target <store:theme-id>", "Also mirror to this theme (repeatable)", validationCollector(validateThemeTarget), [])
+  .argument("[theme-id]", `Theme id (default: theme in ${PROJECT_FILE})`, validateThemeReference)
+  .argument("[folder]", `Folder to watch (default: folder in ${PROJECT_FILE}, or .)`)
+  .hook("preAction", applyProjectConfig)
   .action(watch);
 
+const SYNC_HELP = `
+Only files the watch command would process are compared, and the same
+--allow, --block and --unsafe options apply. Use --dry-run to list the
+files that would be added, changed or deleted without applying them.
+Binary files such as images and fonts are sent as an archive imported into
+the installed theme, as the theme file API only accepts text.
+`.trim();
+
+patternOptions(program.command("push"))
+  .summary("Update an installed theme to match a local folder")
+  .description(`Update an installed theme to match a local folder, sending only the files that differ.\n\n${SYNC_HELP}`)
+  .option("--dry-run", "List changes without applying them")
+  .argument("[theme-id]", `Theme id (default: theme in ${PROJECT_FILE})`, validateThemeReference)
+  .argument("[folder]", `Theme folder (default: folder in ${PROJECT_FILE}, or .)`)
+  .hook("preAction", applyProjectConfig)
+  .action(push);
+
+patternOptions(program.command("pull"))
+  .summary("Update a local folder to match an installed theme")
+  .description(`Update a local folder to match an installed theme, writing only the files that differ.\n\n${SYNC_HELP}`)
+  .option("--dry-run", "List changes without applying them")
+  .argument("[theme-id]", `Theme id (default: theme in ${PROJECT_FILE})`, validateThemeReference)
+  .argument("[folder]", `Theme folder (default: folder in ${PROJECT_FILE}, or .)`)
+  .hook("preAction", applyProjectConfig)
+  .action(pull);
+
+const DIFF_HELP = `Compare a local folder with an installed theme.
+
+Prints a unified diff for every file that differs, where the installed
+theme is the old side and the local folder the new one, followed by a
+summary. Only files the watch command would process are compared, and the
+same --allow, --block and --unsafe options apply.
+
+Exits with status 2 when there are differences, so it can be used as a CI
+gate. No error exits with 2: invalid arguments and failed requests exit
+with 1, and errors such as a missing theme with their own distinct status.
+`.trim();
+
+patternOptions(program.command("diff"))
+  .summary("Compare a local folder with an installed theme")
+  .description(DIFF_HELP)
+  .option("--stat", "Only print the summary")
+  .argument("[theme-id]", `Theme id (default: theme in ${PROJECT_FILE})`, validateThemeReference)
+  .argument("[folder]", `Theme folder (default: folder in ${PROJECT_FILE}, or .)`)
+  .hook("preAction", applyProjectConfig)
+  .action(diff);
+
 export default program;